@@ -1,7 +1,9 @@
 import "../styles/main.scss";
 import "../styles/style.scss";
 import InteractiveBook from "../scripts/app";
+import Outline from "../scripts/outline";
 
 // Load library
 H5P = H5P || {};
 H5P.InteractiveBook = InteractiveBook;
+H5P.InteractiveBook.Outline = Outline;
@@ -3,6 +3,29 @@ import SideBar from './sidebar';
 import StatusBar from './statusbar';
 import Cover from './cover';
 import PageContent from './pagecontent';
+import Summary from './summary';
+import Router from './router';
+import TimeTracker from './timetracker';
+import KeyboardShortcuts from './keyboardshortcuts';
+import Outline from './outline';
+import Bookmarks from './bookmarks';
+import Highlights from './highlights';
+import PrintView from './printview';
+import SectionTracker from './sectiontracker';
+import LiveRegion from './liveregion';
+import ReadAloud from './readaloud';
+import Preferences from './preferences';
+import Glossary from './glossary';
+
+/** xAPI extension for the progress in percent, as defined by cmi5 */
+const XAPI_PROGRESS = 'https://w3id.org/xapi/cmi5/result/extensions/progress';
+
+/** xAPI context extensions identifying chapter and section */
+const XAPI_CHAPTER = 'http://h5p.org/x-api/interactive-book-chapter';
+const XAPI_SECTION = 'http://h5p.org/x-api/interactive-book-section';
+
+/** Languages that are written from right to left */
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'ha', 'he', 'khw', 'ks', 'ps', 'sd', 'ur', 'yi'];
 
 export default class InteractiveBook extends H5P.EventDispatcher {
   /**
@@ -18,12 +41,31 @@ export default class InteractiveBook extends H5P.EventDispatcher {
     this.contentId = contentId;
     this.activeChapter = 0;
     this.newHandler = {};
+    this.navigationQueue = [];
 
     this.completed = false;
+    this.previousState = contentData.previousState || {};
+    this.isSubmitted = this.previousState.isSubmitted === true;
+
+    // Sections where reading of chapters was left off, by chapter id
+    this.readingPositions = {};
+    const readingPositions = this.previousState.readingPositions;
+    if (readingPositions && typeof readingPositions === 'object') {
+      Object.keys(readingPositions).forEach(chapterUUID => {
+        if (typeof readingPositions[chapterUUID] === 'string') {
+          this.readingPositions[chapterUUID] = readingPositions[chapterUUID];
+        }
+      });
+    }
+    this.summaryVisible = false;
 
     this.params = config;
     this.params.behaviour = this.params.behaviour || {};
 
+    // Chapters are stored together with their level in the book's structure
+    this.params.chapterLevels = this.params.chapters.map(item => item.level);
+    this.params.chapters = this.params.chapters.map(item => item.chapter);
+
     /*
      * this.params.behaviour.enableSolutionsButton and this.params.behaviour.enableRetry
      * are used by H5P's question type contract.
@@ -33,18 +75,37 @@ export default class InteractiveBook extends H5P.EventDispatcher {
     this.params.behaviour.enableSolutionsButton = false;
     this.params.behaviour.enableRetry = false;
 
+    this.params.a11y = Object.assign({
+      chapterChanged: 'Chapter @chapter of @total: @title',
+      chapterCompleted: 'Chapter completed: @title',
+      taskCompleted: 'Task completed: @title',
+      bookCompleted: 'You have completed the book.'
+    }, this.params.a11y || {});
+
+    this.liveRegion = new LiveRegion();
+
+    this.router = new Router(this.params.behaviour.routing, contentId);
+
+    this.outline = new Outline({
+      headingLevel: this.params.behaviour.tocHeadingLevel,
+      l10n: {
+        newLink: config.newLink
+      }
+    });
+
+    // Books in right-to-left languages are mirrored
+    const language = ((contentData.metadata && contentData.metadata.defaultLanguage) || '').split('-')[0];
+    this.rtl = RTL_LANGUAGES.indexOf(language.toLowerCase()) !== -1;
+
     /**
      * Check if result has been submitted or input has been given.
      *
      * @return {boolean} True, if answer was given.
      * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-1}
      */
-    this.getAnswerGiven = () => this.chapters.reduce((accu, current) => {
-      if (typeof current.instance.getAnswerGiven === 'function') {
-        return accu && current.instance.getAnswerGiven();
-      }
-      return accu;
-    }, true);
+    this.getAnswerGiven = () => this.chapters.every((chapter, index) => {
+      return this.pageContent.getChapterScores(index).answerGiven;
+    });
 
     /**
      * Get latest score.
@@ -52,11 +113,8 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      * @return {number} Latest score.
      * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-2}
      */
-    this.getScore = () => this.chapters.reduce((accu, current) => {
-      if (typeof current.instance.getScore === 'function') {
-        return accu + current.instance.getScore();
-      }
-      return accu;
+    this.getScore = () => this.chapters.reduce((accu, chapter, index) => {
+      return accu + this.pageContent.getChapterScores(index).score;
     }, 0);
 
     /**
@@ -65,11 +123,8 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      * @return {number} Score necessary for mastering.
      * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-3}
      */
-    this.getMaxScore = () => this.chapters.reduce((accu, current) => {
-      if (typeof current.instance.getMaxScore === 'function') {
-        return accu + current.instance.getMaxScore();
-      }
-      return accu;
+    this.getMaxScore = () => this.chapters.reduce((accu, chapter, index) => {
+      return accu + this.pageContent.getChapterScores(index).maxScore;
     }, 0);
 
     /**
@@ -78,7 +133,7 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-4}
      */
     this.showSolutions = () => {
-      this.chapters.forEach(chapter => {
+      this.chapters.filter(chapter => chapter.isInitialized).forEach(chapter => {
         if (typeof chapter.instance.toggleReadSpeaker === 'function') {
           chapter.instance.toggleReadSpeaker(true);
         }
@@ -98,36 +153,172 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      */
     this.resetTask = () => {
       this.chapters.forEach(chapter => {
-        if (typeof chapter.instance.resetTask === 'function') {
+        // Unloaded chapters will start from scratch when they are needed again
+        chapter.state = undefined;
+        if (chapter.scores) {
+          chapter.scores = {score: 0, maxScore: chapter.scores.maxScore, answerGiven: false};
+        }
+
+        if (chapter.instance && typeof chapter.instance.resetTask === 'function') {
           chapter.instance.resetTask();
         }
+
+        // Progress is tracked the same way as when the book is created
+        chapter.ownCompleted = false;
+        chapter.completed = false;
+        if (this.params.behaviour.progressIndicators) {
+          chapter.tasksLeft = chapter.maxTasks;
+          chapter.sections.forEach(section => {
+            if (section.isTask) {
+              section.taskDone = false;
+            }
+          });
+        }
       });
+      this.completed = false;
 
+      this.pageContent.resetChapterReadCheckboxes();
       this.sideBar.resetIndicators();
+      this.sideBar.updateLockedChapters();
+      this.statusBarHeader.updateStatusBar();
+      this.statusBarFooter.updateStatusBar();
+
+      this.isSubmitted = false;
+      if (this.summary) {
+        this.summary.setSubmitted(false);
+        if (this.isSummaryVisible()) {
+          this.summary.update();
+        }
+      }
     };
 
+    /**
+     * Get current state of the book.
+     *
+     * @return {object} Current state to be restored later.
+     */
+    this.getCurrentState = () => ({
+      activeChapter: this.getActiveChapter(),
+      isSubmitted: this.isSubmitted,
+      timeSpent: this.timeTracker.getTimes(),
+      bookmarks: this.bookmarks ? this.bookmarks.getBookmarks() : [],
+      highlights: this.highlights ? this.highlights.getHighlights() : [],
+      readingPositions: Object.assign({}, this.readingPositions),
+      preferences: this.preferences ? this.preferences.getPreferences() : {},
+      chapters: this.chapters.map((chapter, index) => ({
+        ownCompleted: chapter.ownCompleted,
+        completed: chapter.completed,
+        tasksLeft: chapter.tasksLeft,
+        sections: chapter.sections.map(section => ({
+          taskDone: section.taskDone === true
+        })),
+        state: this.pageContent.getChapterState(index),
+        scores: this.pageContent.getKnownChapterScores(index)
+      }))
+    });
+
     /**
      * Get xAPI data.
      *
      * @return {object} xAPI statement.
      * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-6}
      */
-    this.getXAPIData = () => {
+    this.getXAPIData = () => ({
+      statement: this.createAnsweredXAPIEvent().data.statement,
+      children: this.getTaskXAPIData()
+    });
+
+    /**
+     * Create the compound 'answered' xAPI event for the whole book.
+     *
+     * @return {H5P.XAPIEvent} xAPI event.
+     */
+    this.createAnsweredXAPIEvent = () => {
+      this.pageContent.loadChapterScores();
+
       const xAPIEvent = this.createXAPIEventTemplate('answered');
       this.addQuestionToXAPI(xAPIEvent);
       xAPIEvent.setScoredResult(this.getScore(),
         this.getMaxScore(),
         this,
         true,
-        this.getScore() === this.getMaxScore()
+        this.isPassed()
       );
+      xAPIEvent.data.statement.result.duration = TimeTracker.toISO8601Duration(this.getTimeSpent());
 
-      return {
-        statement: xAPIEvent.data.statement,
-        children: this.getXAPIDataFromChildren(this.chapters.map(chapter => chapter.instance))
-      };
+      return xAPIEvent;
+    };
+
+    /**
+     * Get percentage of the total score required for passing.
+     *
+     * @return {number} Pass percentage.
+     */
+    this.getPassPercentage = () => {
+      const passPercentage = parseFloat(this.params.behaviour.passPercentage);
+      return isNaN(passPercentage) ? 100 : Math.min(Math.max(passPercentage, 0), 100);
+    };
+
+    /**
+     * Check if the learner has passed the book.
+     *
+     * @return {boolean} True, if the score reaches the pass percentage.
+     */
+    this.isPassed = () => {
+      const maxScore = this.getMaxScore();
+      if (maxScore === 0) {
+        return true;
+      }
+
+      return this.getScore() / maxScore * 100 >= this.getPassPercentage();
+    };
+
+    /**
+     * Get the feedback text defined for the learner's score range.
+     *
+     * @return {string} Feedback text or empty string.
+     */
+    this.getOverallFeedback = () => {
+      const feedbacks = (this.params.overallFeedback && this.params.overallFeedback.overallFeedback) || [];
+      const maxScore = this.getMaxScore();
+      const percentage = maxScore ? Math.round(this.getScore() / maxScore * 100) : 100;
+
+      const match = feedbacks.filter(range => range.from <= percentage && percentage <= range.to)[0];
+      return (match && match.feedback) ? match.feedback : '';
     };
 
+    /**
+     * Submit the book's results by sending the 'answered' statement once.
+     */
+    this.submitReport = () => {
+      if (this.isSubmitted) {
+        return;
+      }
+
+      this.isSubmitted = true;
+      this.trigger(this.createAnsweredXAPIEvent());
+
+      if (this.summary) {
+        this.summary.setSubmitted(true);
+      }
+    };
+
+    /**
+     * Get xAPI data of all chapters that contain tasks.
+     *
+     * Chapters that are not loaded are only loaded for the moment.
+     *
+     * @return {object[]} xAPI data objects used to build a report.
+     */
+    this.getTaskXAPIData = () => this.chapters
+      .map((chapter, index) => chapter.hasTasks ? index : null)
+      .filter(index => index !== null)
+      .reduce((data, index) => {
+        return data.concat(this.pageContent.useChapterInstance(index, instance => {
+          return this.getXAPIDataFromChildren([instance]);
+        }));
+      }, []);
+
     /**
      * Get xAPI data from sub content types.
      *
@@ -170,6 +361,58 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      */
     this.hasCover = () => this.cover && this.cover.container;
 
+    /**
+     * Check whether the book is written from right to left.
+     *
+     * @return {boolean} True, if the book is written from right to left.
+     */
+    this.isRTL = () => this.rtl;
+
+    /**
+     * Check if the summary page is being displayed.
+     *
+     * @return {boolean} True, if the summary page is displayed.
+     */
+    this.isSummaryVisible = () => this.summaryVisible;
+
+    /**
+     * Show the summary page instead of the active chapter.
+     */
+    this.showSummary = () => {
+      if (!this.summary || this.summaryVisible) {
+        return;
+      }
+
+      // Leaving the final chapter counts as having read it
+      this.updateChapterProgress(this.activeChapter, true);
+
+      this.summaryVisible = true;
+      this.timeTracker.pause('summary');
+      this.summary.update();
+      this.pageContent.toggleSummary(this.summary.container, true);
+      this.statusBarHeader.updateStatusBar();
+      this.statusBarFooter.updateStatusBar();
+
+      this.trigger('resize');
+    };
+
+    /**
+     * Hide the summary page and return to the active chapter.
+     */
+    this.hideSummary = () => {
+      if (!this.summaryVisible) {
+        return;
+      }
+
+      this.summaryVisible = false;
+      this.timeTracker.resume('summary');
+      this.pageContent.toggleSummary(this.summary.container, false);
+      this.statusBarHeader.updateStatusBar();
+      this.statusBarFooter.updateStatusBar();
+
+      this.trigger('resize');
+    };
+
     /**
      * Get number of active chapter.
      *
@@ -186,9 +429,27 @@ export default class InteractiveBook extends H5P.EventDispatcher {
       chapterId = parseInt(chapterId);
       if (!isNaN(chapterId)) {
         this.activeChapter = chapterId;
+
+        if (this.timeTracker) {
+          this.timeTracker.setChapter(chapterId);
+        }
       }
     };
 
+    /**
+     * Get time the learner has spent reading.
+     *
+     * @param {number} [chapterId] Chapter Id, defaults to all chapters.
+     * @return {number} Time in ms.
+     */
+    this.getTimeSpent = (chapterId) => {
+      if (chapterId !== undefined) {
+        return this.timeTracker.getTime(chapterId);
+      }
+
+      return this.timeTracker.getTimes().reduce((sum, time) => sum + time, 0);
+    };
+
     /**
      * Validate fragments.
      *
@@ -200,6 +461,10 @@ export default class InteractiveBook extends H5P.EventDispatcher {
         parseInt(fragments.h5pbookid) === self.contentId;
     };
 
+    this.lastFragmentsString = JSON.stringify(
+      URLTools.extractFragmentsFromURL(this.validateFragments, this.router.getHash(), contentId)
+    );
+
     /**
      * Bubble events from child to parent
      *
@@ -229,8 +494,16 @@ export default class InteractiveBook extends H5P.EventDispatcher {
         return;
       }
 
+      // All chapters are visible in the print view
+      if (this.printView && this.printView.isOpen()) {
+        this.printView.resize();
+        return;
+      }
+
       const currentChapterId = this.getActiveChapter();
-      const currentNode = this.pageContent.columnNodes[currentChapterId];
+      const currentNode = this.isSummaryVisible() ?
+        this.summary.container :
+        this.pageContent.columnNodes[currentChapterId];
 
       // Only resize the visible column
       if (currentNode.offsetParent !== null) {
@@ -268,6 +541,30 @@ export default class InteractiveBook extends H5P.EventDispatcher {
       }, 150);
     });
 
+    this.on('showPrintView', () => {
+      if (this.printView) {
+        this.printView.open();
+      }
+    });
+
+    this.on('toggleReadAloud', () => {
+      if (this.readAloud) {
+        this.readAloud.toggle();
+      }
+    });
+
+    this.on('togglePreferences', () => {
+      if (this.preferences) {
+        this.preferences.toggle();
+      }
+    });
+
+    this.on('showKeyboardShortcuts', () => {
+      if (this.keyboardShortcuts) {
+        this.keyboardShortcuts.showHelp();
+      }
+    });
+
     this.on('scrollToTop', () => {
       if (H5P.isFullscreen === true) {
         const container = this.pageContent.container;
@@ -279,30 +576,40 @@ export default class InteractiveBook extends H5P.EventDispatcher {
     });
 
     this.on('newChapter', (event) => {
-      if (this.pageContent.columnNodes[this.getActiveChapter()].classList.contains('h5p-interactive-book-animate')) {
+      if (this.pageContent.isAnimating()) {
+        this.queueNavigation(event.data.chapter, () => {
+          this.trigger('newChapter', event.data);
+        });
+        return;
+      }
+
+      // Chapters may have to be completed in order
+      if (this.isChapterLocked(this.getChapterId(event.data.chapter))) {
+        this.continueNavigation();
         return;
       }
 
+      this.hideSummary();
+
       this.newHandler = event.data;
 
       // Create the new hash
-      event.data.newHash = URLTools.createFragmentsString(this.newHandler);
+      event.data.newHash = URLTools.createFragmentsString(this.newHandler, this.router.getHash());
 
       // Assert that the module itself is asking for a redirect
       this.newHandler.redirectFromComponent = true;
 
-      if (this.getChapterId(event.data.chapter) === this.activeChapter) {
-        const fragmentsEqual = URLTools.areFragmentsEqual(
-          event.data,
-          URLTools.extractFragmentsFromURL(this.validateFragments),
-          ['h5pbookid', 'chapter', 'section', 'headerNumber']
-        );
-
-        if (fragmentsEqual) {
-          // only trigger section redirect without changing hash
-          this.pageContent.changeChapter(false, event.data);
-          return;
-        }
+      const fragmentsEqual = URLTools.areFragmentsEqual(
+        event.data,
+        URLTools.extractFragmentsFromURL(this.validateFragments, this.router.getHash(), this.contentId),
+        ['h5pbookid', 'chapter', 'section', 'headerNumber']
+      );
+
+      if (fragmentsEqual && this.getChapterId(event.data.chapter) === this.activeChapter) {
+        // only trigger section redirect without changing hash
+        this.pageContent.changeChapter(false, event.data);
+        this.continueNavigation();
+        return;
       }
 
       /*
@@ -316,15 +623,67 @@ export default class InteractiveBook extends H5P.EventDispatcher {
         }
       }
 
+      if (fragmentsEqual) {
+        // The hash won't change, so the chapter is changed and queued navigation continued right away
+        this.changeChapter(false);
+        return;
+      }
+
       H5P.trigger(this, 'changeHash', event.data);
     });
 
+    /**
+     * Queue navigation that is requested while chapters are being changed.
+     *
+     * @param {string} chapterUUID Chapter UUID of the target.
+     * @param {function} navigate Callback to navigate to the target.
+     */
+    this.queueNavigation = (chapterUUID, navigate) => {
+      this.navigationQueue.push({chapterUUID, navigate});
+    };
+
+    /**
+     * Continue with the next navigation that has been queued.
+     */
+    this.continueNavigation = () => {
+      if (!this.navigationQueue.length || this.pageContent.isAnimating()) {
+        return;
+      }
+
+      this.navigationQueue.shift().navigate();
+    };
+
+    /**
+     * Get the chapter that the book will show once all queued navigation is done.
+     *
+     * @return {number} Chapter Id.
+     */
+    this.getNavigationTarget = () => {
+      if (!this.navigationQueue.length) {
+        return this.getActiveChapter();
+      }
+
+      const chapterId = this.getChapterId(this.navigationQueue[this.navigationQueue.length - 1].chapterUUID || '');
+      return (chapterId === -1) ? this.getActiveChapter() : chapterId;
+    };
+
+    /**
+     * Get title of a chapter, numbered like 2.3 if the book has sub-chapters.
+     *
+     * @param {number} chapterId Chapter Id.
+     * @return {string} Chapter title.
+     */
+    this.getChapterTitle = (chapterId) => {
+      const chapter = this.chapters[chapterId];
+      return this.pageContent.hasSubChapters() ? `${chapter.number} ${chapter.title}` : chapter.title;
+    };
+
     /**
      * Check if the current chapter is read.
      *
      * @returns {boolean} True, if current chapter was read.
      */
-    this.isCurrentChapterRead = () => this.chapters[this.activeChapter].completed;
+    this.isCurrentChapterRead = () => this.chapters[this.activeChapter].ownCompleted;
 
     /**
      * Check if chapter is final one, has no tasks and all other chapters are done.
@@ -346,7 +705,63 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      */
     this.setChapterRead = (chapterId = this.activeChapter, read = true) => {
       this.handleChapterCompletion(chapterId, read);
-      this.sideBar.updateChapterProgressIndicator(chapterId, read ? 'DONE' : 'BLANK');
+      this.sideBar.updateChapterProgressIndicator(chapterId);
+      this.updateChapterLocks();
+    };
+
+    /**
+     * Check if a chapter is locked, because previous chapters need to be completed first.
+     *
+     * @param {number} chapterId Chapter Id.
+     * @return {boolean} True, if chapter is locked.
+     */
+    this.isChapterLocked = (chapterId) => this.pageContent.isChapterLocked(chapterId);
+
+    /**
+     * Update all elements that depend on chapters being locked.
+     */
+    this.updateChapterLocks = () => {
+      if (!this.params.behaviour.linearProgression || !this.params.behaviour.progressIndicators) {
+        return;
+      }
+
+      this.sideBar.updateLockedChapters();
+      this.statusBarHeader.updateStatusBar();
+      this.statusBarFooter.updateStatusBar();
+    };
+
+    /**
+     * Update all progress indicators to reflect the chapters' progress.
+     */
+    this.updateProgressIndicators = () => {
+      this.chapters.forEach((chapter, chapterId) => {
+        chapter.sections.forEach((section, sectionId) => {
+          if (section.taskDone) {
+            this.sideBar.setSectionMarker(chapterId, sectionId);
+          }
+        });
+
+        this.sideBar.updateChapterProgressIndicator(chapterId);
+      });
+    };
+
+    /**
+     * Get the progress of a chapter including all of its sub-chapters.
+     *
+     * @param {number} chapterId Chapter Id.
+     * @return {string} Status.
+     */
+    this.getChapterStatus = (chapterId) => {
+      if (this.chapters[chapterId].completed) {
+        return 'DONE';
+      }
+
+      const isStarted = [chapterId]
+        .concat(this.pageContent.getDescendants(chapterId))
+        .map(id => this.chapters[id])
+        .some(chapter => chapter.ownCompleted || chapter.tasksLeft < chapter.maxTasks);
+
+      return isStarted ? 'STARTED' : 'BLANK';
     };
 
     /**
@@ -361,34 +776,13 @@ export default class InteractiveBook extends H5P.EventDispatcher {
       }
 
       const chapter = this.chapters[chapterId];
-      let status;
-      if (chapter.maxTasks) {
-        if (chapter.tasksLeft === chapter.maxTasks) {
-          status = 'BLANK';
-        }
-        else if (chapter.tasksLeft === 0) {
-          status = 'DONE';
-        }
-        else {
-          status = 'STARTED';
-        }
-      }
-      else if (chapter.maxTasks === 0) {
-        if (hasChangedChapter) {
-          status = 'DONE';
-        }
-        else {
-          status = 'BLANK';
-        }
-      }
-      else {
-        status = 'DONE';
-      }
+      // Chapters without tasks are done by viewing them
+      const isDone = chapter.maxTasks ? chapter.tasksLeft === 0 : hasChangedChapter;
 
-      if (status === 'DONE') {
+      if (isDone) {
         this.handleChapterCompletion(chapterId);
       }
-      this.sideBar.updateChapterProgressIndicator(chapterId, status);
+      this.sideBar.updateChapterProgressIndicator(chapterId);
     };
 
     /**
@@ -401,7 +795,7 @@ export default class InteractiveBook extends H5P.EventDispatcher {
       chapterUUID = chapterUUID.replace('h5p-interactive-book-chapter-', '');
 
       return this.chapters
-        .map(chapter => chapter.instance.subContentId).indexOf(chapterUUID);
+        .map(chapter => chapter.id).indexOf(chapterUUID);
     };
 
     /**
@@ -411,28 +805,129 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      * @param {boolean} [completed=true] True for completed, false for uncompleted.
      */
     this.handleChapterCompletion = (chapterId, completed = true) => {
+      this.chapters[chapterId].ownCompleted = completed;
+
+      // Parent chapters are completed along with their last sub-chapter
+      for (let id = chapterId; id !== null; id = this.chapters[id].parent) {
+        this.updateChapterCompletion(id);
+      }
+
+      // All chapters completed
+      if (!this.completed && this.chapters.every(chapter => chapter.completed)) {
+        this.completed = true;
+        this.liveRegion.announce(this.params.a11y.bookCompleted);
+        this.pageContent.loadChapterScores();
+        this.triggerXAPIScored(this.getScore(), this.getMaxScore(), 'completed', true, this.isPassed());
+      }
+    };
+
+    /**
+     * Update the completion of a chapter from its own progress and its sub-chapters.
+     *
+     * @param {number} chapterId Chapter Id.
+     */
+    this.updateChapterCompletion = (chapterId) => {
       const chapter = this.chapters[chapterId];
+      const completed = this.pageContent.isChapterCompleted(chapterId);
+      if (completed === chapter.completed) {
+        return;
+      }
+
+      chapter.completed = completed;
 
       if (!completed) {
-        // Reset chapter and book completion.
-        chapter.completed = false;
+        // Book cannot be completed anymore either
         this.completed = false;
+        this.triggerXAPIProgressed(chapterId);
         return;
       }
 
-      // New chapter completed
-      if (!chapter.completed) {
-        chapter.completed = true;
-        chapter.instance.triggerXAPIScored(chapter.instance.getScore(), chapter.instance.getMaxScore(), 'completed');
-      }
+      this.liveRegion.announce(this.params.a11y.chapterCompleted.replace('@title', this.getChapterTitle(chapterId)));
 
-      // All chapters completed
-      if (!this.completed && this.chapters.every(chapter => chapter.completed)) {
-        this.completed = true;
-        this.triggerXAPIScored(this.getScore(), this.getMaxScore(), 'completed');
+      this.trigger(this.createChapterCompletedXAPIEvent(chapterId));
+      this.triggerXAPIProgressed(chapterId);
+    };
+
+    /**
+     * Create the 'completed' xAPI event of a chapter.
+     *
+     * The chapter may not be loaded, so it is described by its saved scores.
+     *
+     * @param {number} chapterId Chapter Id.
+     * @return {H5P.XAPIEvent} xAPI event.
+     */
+    this.createChapterCompletedXAPIEvent = (chapterId) => {
+      const chapter = this.chapters[chapterId];
+      const scores = this.pageContent.getChapterScores(chapterId);
+
+      const xAPIEvent = this.createXAPIEventTemplate('completed');
+      xAPIEvent.setObject({
+        contentId: this.contentId,
+        subContentId: chapter.id,
+        getTitle: () => this.getChapterTitle(chapterId)
+      });
+      xAPIEvent.setScoredResult(scores.score, scores.maxScore, this);
+      xAPIEvent.data.statement.result.duration = TimeTracker.toISO8601Duration(this.getTimeSpent(chapterId));
+
+      return xAPIEvent;
+    };
+
+    /**
+     * Get reading progress.
+     *
+     * @return {number} Percentage of chapters completed.
+     */
+    this.getProgress = () => {
+      const completedChapters = this.chapters.filter(chapter => chapter.completed).length;
+      return Math.round(completedChapters / this.chapters.length * 100);
+    };
+
+    /**
+     * Add chapter and section identifiers to the context of an xAPI event.
+     *
+     * @param {H5P.XAPIEvent} xAPIEvent xAPI event.
+     * @param {number} chapterId Chapter Id.
+     * @param {string} [sectionUUID] Section UUID or top.
+     */
+    this.addChapterToXAPI = (xAPIEvent, chapterId, sectionUUID) => {
+      const statement = xAPIEvent.data.statement;
+      statement.context = statement.context || {};
+      statement.context.extensions = statement.context.extensions || {};
+      statement.context.extensions[XAPI_CHAPTER] = this.chapters[chapterId].id;
+
+      if (typeof sectionUUID === 'string' && sectionUUID !== 'top') {
+        statement.context.extensions[XAPI_SECTION] = sectionUUID.replace('h5p-interactive-book-section-', '');
       }
     };
 
+    /**
+     * Trigger 'experienced' xAPI statement for a chapter that has become active.
+     *
+     * @param {number} chapterId Chapter Id.
+     * @param {string} [sectionUUID] Section UUID or top.
+     */
+    this.triggerXAPIExperienced = (chapterId, sectionUUID) => {
+      const xAPIEvent = this.createXAPIEventTemplate('experienced');
+      this.addChapterToXAPI(xAPIEvent, chapterId, sectionUUID);
+      this.trigger(xAPIEvent);
+    };
+
+    /**
+     * Trigger 'progressed' xAPI statement with the current reading progress.
+     *
+     * @param {number} chapterId Id of the chapter that caused the progress.
+     */
+    this.triggerXAPIProgressed = (chapterId) => {
+      const xAPIEvent = this.createXAPIEventTemplate('progressed');
+      xAPIEvent.data.statement.result = {
+        extensions: {
+          [XAPI_PROGRESS]: this.getProgress()
+        }
+      };
+      this.addChapterToXAPI(xAPIEvent, chapterId);
+      this.trigger(xAPIEvent);
+    };
+
     /**
      * Check if the content height exceeds the window.
      *
@@ -452,16 +947,82 @@ export default class InteractiveBook extends H5P.EventDispatcher {
       return (this.pageContent && this.pageContent.container) ? this.pageContent.container.offsetWidth : 0;
     };
 
+    /**
+     * Remember the section in view of a chapter that is left.
+     *
+     * @param {number} chapterId Chapter Id.
+     */
+    this.storeReadingPosition = (chapterId) => {
+      const chapter = this.chapters[chapterId];
+      const sectionId = this.sectionTracker.getSectionInView();
+
+      // Returning to the top of the chapter needs no position
+      if (sectionId === null || sectionId === 0 || !chapter.sections[sectionId]) {
+        delete this.readingPositions[chapter.id];
+      }
+      else {
+        this.readingPositions[chapter.id] = chapter.sections[sectionId].subContentId;
+      }
+    };
+
+    /**
+     * Get the section where reading of a chapter was left off.
+     *
+     * @param {number} chapterId Chapter Id.
+     * @return {string|undefined} Section UUID.
+     */
+    this.getReadingPosition = (chapterId) => {
+      const chapter = this.chapters[chapterId];
+      const sectionUUID = chapter ? this.readingPositions[chapter.id] : undefined;
+      if (!sectionUUID || chapter.sections.map(section => section.subContentId).indexOf(sectionUUID) === -1) {
+        return undefined;
+      }
+
+      return `h5p-interactive-book-section-${sectionUUID}`;
+    };
+
+    /**
+     * Show the section in view in the breadcrumbs of both status bars.
+     *
+     * @param {number|null} sectionId Index of section in the active chapter.
+     */
+    this.setSectionInView = (sectionId) => {
+      this.statusBarHeader.setSectionInView(sectionId);
+      this.statusBarFooter.setSectionInView(sectionId);
+    };
+
     /**
      * Change the current active chapter.
      *
      * @param {boolean} redirectOnLoad Is this a redirect which happens immediately?
      */
     this.changeChapter = (redirectOnLoad) => {
+      const chapterId = this.getChapterId(this.newHandler.chapter);
+      const hasChangedChapter = !redirectOnLoad && chapterId !== this.getActiveChapter();
+      if (hasChangedChapter) {
+        this.storeReadingPosition(this.getActiveChapter());
+        if (this.readAloud) {
+          this.readAloud.stop();
+        }
+      }
+
       this.pageContent.changeChapter(redirectOnLoad, this.newHandler);
+
+      if (hasChangedChapter && chapterId === this.getActiveChapter()) {
+        this.liveRegion.announce(this.params.a11y.chapterChanged
+          .replace('@chapter', chapterId + 1)
+          .replace('@total', this.chapters.length)
+          .replace('@title', this.getChapterTitle(chapterId)));
+      }
+      this.setSectionInView(null);
+      this.sectionTracker.track(this.getActiveChapter());
       this.statusBarHeader.updateStatusBar();
       this.statusBarFooter.updateStatusBar();
+      this.sideBar.updateLockedChapters();
       this.newHandler.redirectFromComponent = false;
+
+      // Without a transition, queued navigation can continue right away
+      this.continueNavigation();
     };
 
 
@@ -469,7 +1030,15 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      * Triggers whenever the hash changes, indicating that a chapter redirect is happening
      */
     H5P.on(this, 'respondChangeHash', () => {
-      const payload = URLTools.extractFragmentsFromURL(self.validateFragments);
+      const payload = URLTools.extractFragmentsFromURL(self.validateFragments, self.router.getHash(), self.contentId);
+
+      // Ignore changes that other books on the same page made to their own part
+      const fragmentsString = JSON.stringify(payload);
+      if (fragmentsString === this.lastFragmentsString) {
+        return;
+      }
+      this.lastFragmentsString = fragmentsString;
+
       if (payload.h5pbookid && parseInt(payload.h5pbookid) === self.contentId) {
         this.redirectChapter(payload);
       }
@@ -477,7 +1046,7 @@ export default class InteractiveBook extends H5P.EventDispatcher {
 
     H5P.on(this, 'changeHash', (event) => {
       if (event.data.h5pbookid === this.contentId) {
-        top.location.hash = event.data.newHash;
+        this.router.setHash(event.data.newHash);
       }
     });
 
@@ -496,6 +1065,14 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      * @param {string} target.section Section UUID.
      */
     this.redirectChapter = (target) => {
+      // Browser history may be used while chapters are being changed
+      if (this.pageContent.isAnimating()) {
+        this.queueNavigation(target.chapter, () => {
+          this.redirectChapter(target);
+        });
+        return;
+      }
+
       /**
        * If true, we already have information regarding redirect in newHandler
        * When using browser history, a convert is neccecary
@@ -512,11 +1089,19 @@ export default class InteractiveBook extends H5P.EventDispatcher {
         }
         else {
           self.newHandler = {
-            chapter: `h5p-interactive-book-chapter-${self.chapters[0].instance.subContentId}`,
+            chapter: `h5p-interactive-book-chapter-${self.chapters[0].id}`,
             h5pbookid: self.h5pbookid
           };
         }
       }
+
+      // Skipping ahead by changing the URL is not allowed either
+      if (self.isChapterLocked(self.getChapterId(self.newHandler.chapter))) {
+        self.newHandler.redirectFromComponent = false;
+        self.continueNavigation();
+        return;
+      }
+
       self.changeChapter(false);
     };
 
@@ -528,20 +1113,22 @@ export default class InteractiveBook extends H5P.EventDispatcher {
      */
     this.setSectionStatusByID = (sectionUUID, chapterId) => {
       this.chapters[chapterId].sections.forEach((section, index) => {
-        const sectionInstance = section.instance;
-
-        if (sectionInstance.subContentId === sectionUUID && !section.taskDone) {
+        if (section.subContentId === sectionUUID && !section.taskDone) {
           section.taskDone = true;
+          this.liveRegion.announce(this.params.a11y.taskCompleted.replace(
+            '@title', this.outline.getTitle(this.params.chapters[chapterId].params.content[index].content)
+          ));
           this.sideBar.setSectionMarker(chapterId, index);
           this.chapters[chapterId].tasksLeft -= 1;
           if (this.params.behaviour.progressAuto) {
             this.updateChapterProgress(chapterId);
           }
+          this.updateChapterLocks();
         }
       });
     };
 
-    top.addEventListener('hashchange', (event) => {
+    this.router.on('hashchange', (event) => {
       H5P.trigger(this, 'respondChangeHash', event);
     });
 
@@ -553,6 +1140,13 @@ export default class InteractiveBook extends H5P.EventDispatcher {
       // Needed to enable scrolling in fullscreen
       $wrapper[0].classList.add('h5p-interactive-book');
       $wrapper[0].classList.add('h5p-scrollable-fullscreen');
+
+      // The page around the book may be written from right to left as well
+      this.rtl = this.rtl || window.getComputedStyle($wrapper[0]).direction === 'rtl';
+      if (this.rtl) {
+        $wrapper[0].setAttribute('dir', 'rtl');
+        $wrapper[0].classList.add('h5p-interactive-book-rtl');
+      }
       if (this.cover) {
         $wrapper.get(0).appendChild(this.cover.container);
         $wrapper.get(0).classList.add('covered');
@@ -560,7 +1154,15 @@ export default class InteractiveBook extends H5P.EventDispatcher {
 
       this.addFullScreenButton($wrapper);
 
+      $wrapper.get(0).appendChild(this.liveRegion.container);
+
       $wrapper.get(0).appendChild(this.statusBarHeader.wrapper);
+      if (this.readAloud) {
+        this.statusBarHeader.wrapper.appendChild(this.readAloud.controls.container);
+      }
+      if (this.preferences) {
+        this.statusBarHeader.wrapper.appendChild(this.preferences.panel.container);
+      }
 
       const first = this.pageContent.container.firstChild;
       if (first) {
@@ -571,6 +1173,25 @@ export default class InteractiveBook extends H5P.EventDispatcher {
       $wrapper.get(0).appendChild(this.statusBarFooter.wrapper);
 
       this.pageContent.updateFooter();
+
+      if (this.keyboardShortcuts) {
+        this.keyboardShortcuts.attach($wrapper.get(0));
+      }
+
+      if (this.printView) {
+        this.printView.attach($wrapper.get(0));
+      }
+
+      if (this.preferences) {
+        this.preferences.attach($wrapper.get(0));
+      }
+
+      this.sectionTracker.track(this.getActiveChapter());
+
+      // With a cover, the chapter becomes active when the cover is removed
+      if (!this.hasCover()) {
+        this.triggerXAPIExperienced(this.getActiveChapter());
+      }
     };
 
     /**
@@ -636,7 +1257,7 @@ export default class InteractiveBook extends H5P.EventDispatcher {
         this.fullScreenButton.classList.remove('h5p-interactive-book-enter-fullscreen');
         this.fullScreenButton.classList.add('h5p-interactive-book-exit-fullscreen');
         this.fullScreenButton.setAttribute('title', this.params.exitFullscreen);
-        this.fullScreenButton.setAttribute('aria-label', this.params.exitFullScreen);
+        this.fullScreenButton.setAttribute('aria-label', this.params.exitFullscreen);
 
         this.pageContent.updateFooter();
       });
@@ -663,6 +1284,43 @@ export default class InteractiveBook extends H5P.EventDispatcher {
       this.cover = new Cover(config.bookCover, contentData.metadata.title, config.read, contentId, this);
     }
 
+    if (this.params.behaviour.bookmarks) {
+      this.bookmarks = new Bookmarks(this, {
+        l10n: {
+          addBookmark: config.addBookmark,
+          removeBookmark: config.removeBookmark,
+          noBookmarks: config.noBookmarks
+        }
+      }, this.previousState.bookmarks);
+    }
+
+    if (this.params.behaviour.highlights) {
+      this.highlights = new Highlights(this, {
+        title: contentData.metadata.title,
+        l10n: {
+          highlight: config.highlight,
+          note: config.note,
+          saveNote: config.saveNote,
+          deleteHighlight: config.deleteHighlight,
+          close: config.close,
+          noHighlights: config.noHighlights,
+          exportMarkdown: config.exportMarkdown,
+          exportJSON: config.exportJSON
+        }
+      }, this.previousState.highlights);
+    }
+
+    if (config.glossary && config.glossary.length) {
+      this.glossary = new Glossary(this, {
+        terms: config.glossary,
+        chapters: config.chapters,
+        l10n: {
+          usedIn: config.usedIn,
+          close: config.close
+        }
+      });
+    }
+
     this.pageContent = new PageContent(config, contentId, contentData, this, {
       l10n: {
         markAsFinished: config.markAsFinished
@@ -670,35 +1328,162 @@ export default class InteractiveBook extends H5P.EventDispatcher {
       behaviour: this.params.behaviour
     });
     this.chapters = this.pageContent.getChapters();
+    this.completed = this.chapters.every(chapter => chapter.completed);
+
+    this.timeTracker = new TimeTracker(this.chapters.length, this.previousState.timeSpent);
+    this.timeTracker.setChapter(this.getActiveChapter());
+
+    if (this.params.behaviour.displaySummary) {
+      this.summary = new Summary(this, {
+        l10n: {
+          summaryHeader: config.summaryHeader,
+          score: config.score,
+          totalScore: config.totalScore,
+          chapterCompleted: config.chapterCompleted,
+          incompleteChapter: config.incompleteChapter,
+          submitReport: config.submitReport,
+          reportSubmitted: config.reportSubmitted,
+          passed: config.passed,
+          failed: config.failed
+        }
+      });
+      this.pageContent.content.appendChild(this.summary.container);
+    }
 
     this.sideBar = new SideBar(config, contentId, contentData.metadata.title, this);
+    if (this.bookmarks) {
+      this.bookmarks.update();
+    }
+    if (this.highlights) {
+      this.highlights.attach(this.pageContent.content);
+      this.highlights.update();
+    }
+    if (this.glossary) {
+      this.glossary.attach(this.pageContent.content);
+      this.glossary.update();
+    }
+    this.updateProgressIndicators();
+    this.sideBar.updateLockedChapters();
+
+    if (this.params.behaviour.readAloud && ReadAloud.isSupported()) {
+      this.readAloud = new ReadAloud(this, {
+        language: contentData.metadata.defaultLanguage,
+        l10n: {
+          listen: config.listen,
+          play: config.play,
+          pause: config.pause,
+          skipSection: config.skipSection,
+          stopListening: config.stopListening,
+          speechRate: config.speechRate
+        }
+      });
+    }
+
+    if (this.params.behaviour.readerPreferences) {
+      this.preferences = new Preferences(this, {
+        l10n: {
+          preferences: config.preferences,
+          textSize: config.textSize,
+          decreaseTextSize: config.decreaseTextSize,
+          increaseTextSize: config.increaseTextSize,
+          lineSpacing: config.lineSpacing,
+          lineSpacingNormal: config.lineSpacingNormal,
+          lineSpacingRelaxed: config.lineSpacingRelaxed,
+          lineSpacingLoose: config.lineSpacingLoose,
+          dyslexiaFont: config.dyslexiaFont,
+          theme: config.theme,
+          themeLight: config.themeLight,
+          themeDark: config.themeDark,
+          themeHighContrast: config.themeHighContrast,
+          resetPreferences: config.resetPreferences,
+          close: config.close
+        }
+      }, this.previousState.preferences);
+
+      // Keep the button in the header in sync with the panel
+      this.preferences.on('toggled', (event) => {
+        this.statusBarHeader.setPreferencesExpanded(event.data.open);
+      });
+    }
 
     this.statusBarHeader = new StatusBar(contentId, config.chapters.length, this, {
       l10n: {
         nextPage: config.nextPage,
         previousPage: config.previousPage,
-        navigateToTop: config.navigateToTop
+        navigateToTop: config.navigateToTop,
+        summaryHeader: config.summaryHeader,
+        showKeyboardShortcuts: config.showKeyboardShortcuts,
+        showPrintView: config.showPrintView,
+        jumpToChapter: config.jumpToChapter,
+        listen: config.listen,
+        preferences: config.preferences
       },
       a11y: this.params.a11y,
-      behaviour: this.params.behaviour
+      behaviour: this.params.behaviour,
+      showPreferences: this.preferences !== undefined
     }, 'h5p-interactive-book-status-header');
 
     this.statusBarFooter = new StatusBar(contentId, config.chapters.length, this, {
       l10n: {
         nextPage: config.nextPage,
         previousPage: config.previousPage,
-        navigateToTop: config.navigateToTop
+        navigateToTop: config.navigateToTop,
+        summaryHeader: config.summaryHeader,
+        showKeyboardShortcuts: config.showKeyboardShortcuts,
+        showPrintView: config.showPrintView,
+        jumpToChapter: config.jumpToChapter,
+        listen: config.listen
       },
       a11y: this.params.a11y,
       behaviour: this.params.behaviour
     }, 'h5p-interactive-book-status-footer');
 
+    this.sectionTracker = new SectionTracker(this, (chapterId, sectionId) => {
+      if (chapterId === this.getActiveChapter()) {
+        this.setSectionInView(sectionId);
+      }
+    });
+
+    if (this.params.behaviour.keyboardShortcuts) {
+      this.keyboardShortcuts = new KeyboardShortcuts(this, {
+        l10n: {
+          keyboardShortcuts: config.keyboardShortcuts,
+          previousPage: config.previousPage,
+          nextPage: config.nextPage,
+          firstPage: config.firstPage,
+          lastPage: config.lastPage,
+          menu: this.params.a11y.menu,
+          showKeyboardShortcuts: config.showKeyboardShortcuts,
+          close: config.close,
+          keyPageUp: config.keyPageUp,
+          keyPageDown: config.keyPageDown,
+          keyHome: config.keyHome,
+          keyEnd: config.keyEnd
+        }
+      });
+    }
+
+    if (this.params.behaviour.printView) {
+      this.printView = new PrintView(this, {
+        title: contentData.metadata.title,
+        cover: config.showCoverPage ? config.bookCover : null,
+        l10n: {
+          print: config.print,
+          close: config.close,
+          tableOfContents: config.tableOfContents,
+          printPlaceholder: config.printPlaceholder
+        }
+      });
+    }
+
     if (this.hasCover()) {
 
       this.hideAllElements(true);
+      this.timeTracker.pause('cover');
 
       this.on('coverRemoved', () => {
         this.hideAllElements(false);
+        this.timeTracker.resume('cover');
         this.trigger('resize');
 
         // Focus header progress bar when cover is removed
@@ -0,0 +1,276 @@
+/**
+ * Sections that the learner has bookmarked to return to them later
+ * Constructor function.
+ */
+class Bookmarks extends H5P.EventDispatcher {
+  constructor(parent, params, previousBookmarks) {
+    super();
+
+    this.parent = parent;
+    this.params = params || {};
+
+    this.params.l10n = Object.assign({
+      addBookmark: 'Bookmark this section',
+      removeBookmark: 'Remove bookmark',
+      noBookmarks: 'No bookmarks yet. Use the bookmark button of a section to return to it later.'
+    }, this.params.l10n || {});
+
+    // Bookmarks are kept by chapter and section ids, so they survive reordering
+    this.bookmarks = (Array.isArray(previousBookmarks) ? previousBookmarks : [])
+      .filter(bookmark => bookmark && typeof bookmark.chapter === 'string' && typeof bookmark.section === 'string')
+      .map(bookmark => ({
+        chapter: bookmark.chapter,
+        section: bookmark.section
+      }));
+
+    // Toggle buttons of sections that have been attached, by section id
+    this.toggleButtons = {};
+
+    this.container = this.createContainer();
+  }
+
+  /**
+   * Create the list of bookmarks.
+   *
+   * @return {HTMLElement} Bookmarks container.
+   */
+  createContainer() {
+    this.list = document.createElement('ul');
+    this.list.classList.add('h5p-interactive-book-bookmarks-list');
+
+    this.emptyMessage = document.createElement('p');
+    this.emptyMessage.classList.add('h5p-interactive-book-bookmarks-empty');
+    this.emptyMessage.innerHTML = this.params.l10n.noBookmarks;
+
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-bookmarks');
+    container.appendChild(this.list);
+    container.appendChild(this.emptyMessage);
+
+    return container;
+  }
+
+  /**
+   * Find the position of a section in the book.
+   *
+   * @param {object} bookmark Bookmark.
+   * @return {object|null} Chapter and section index or null if the section is gone.
+   */
+  findPosition(bookmark) {
+    const chapterId = this.parent.chapters.map(chapter => chapter.id).indexOf(bookmark.chapter);
+    if (chapterId === -1) {
+      return null;
+    }
+
+    const sectionId = this.parent.chapters[chapterId].sections
+      .map(section => section.subContentId)
+      .indexOf(bookmark.section);
+
+    return (sectionId === -1) ? null : {chapterId, sectionId};
+  }
+
+  /**
+   * Get index of a bookmark.
+   *
+   * @param {string} chapterUUID Chapter id.
+   * @param {string} sectionUUID Section id.
+   * @return {number} Index or -1 if section is not bookmarked.
+   */
+  indexOf(chapterUUID, sectionUUID) {
+    for (let i = 0; i < this.bookmarks.length; i++) {
+      if (this.bookmarks[i].chapter === chapterUUID && this.bookmarks[i].section === sectionUUID) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Check whether a section is bookmarked.
+   *
+   * @param {string} chapterUUID Chapter id.
+   * @param {string} sectionUUID Section id.
+   * @return {boolean} True, if section is bookmarked.
+   */
+  isBookmarked(chapterUUID, sectionUUID) {
+    return this.indexOf(chapterUUID, sectionUUID) !== -1;
+  }
+
+  /**
+   * Add or remove the bookmark of a section.
+   *
+   * @param {string} chapterUUID Chapter id.
+   * @param {string} sectionUUID Section id.
+   */
+  toggle(chapterUUID, sectionUUID) {
+    const index = this.indexOf(chapterUUID, sectionUUID);
+    if (index === -1) {
+      this.bookmarks.push({
+        chapter: chapterUUID,
+        section: sectionUUID
+      });
+    }
+    else {
+      this.bookmarks.splice(index, 1);
+    }
+
+    this.update();
+  }
+
+  /**
+   * Get bookmarks to be stored in the book's state.
+   *
+   * @return {object[]} Bookmarks.
+   */
+  getBookmarks() {
+    return this.bookmarks.map(bookmark => ({
+      chapter: bookmark.chapter,
+      section: bookmark.section
+    }));
+  }
+
+  /**
+   * Add a bookmark toggle to every section of a chapter that has been attached.
+   *
+   * @param {object} chapter Chapter.
+   * @param {HTMLElement} columnNode Column element.
+   */
+  addToggleButtons(chapter, columnNode) {
+    const columnContent = columnNode.getElementsByClassName('h5p-column-content');
+
+    chapter.sections.forEach((section, index) => {
+      if (!columnContent[index] || !section.subContentId) {
+        return;
+      }
+
+      const button = document.createElement('button');
+      button.classList.add('h5p-interactive-book-bookmark-toggle');
+      button.onclick = () => {
+        this.toggle(chapter.id, section.subContentId);
+      };
+
+      this.toggleButtons[section.subContentId] = button;
+      this.updateToggleButton(chapter.id, section.subContentId);
+
+      columnContent[index].classList.add('h5p-interactive-book-bookmarkable');
+      columnContent[index].insertBefore(button, columnContent[index].firstChild);
+    });
+  }
+
+  /**
+   * Update the toggle of a section.
+   *
+   * @param {string} chapterUUID Chapter id.
+   * @param {string} sectionUUID Section id.
+   */
+  updateToggleButton(chapterUUID, sectionUUID) {
+    const button = this.toggleButtons[sectionUUID];
+    if (!button) {
+      return;
+    }
+
+    const bookmarked = this.isBookmarked(chapterUUID, sectionUUID);
+    const label = bookmarked ? this.params.l10n.removeBookmark : this.params.l10n.addBookmark;
+
+    button.setAttribute('aria-pressed', bookmarked ? 'true' : 'false');
+    button.setAttribute('title', label);
+    button.setAttribute('aria-label', label);
+    if (bookmarked) {
+      button.classList.add('h5p-interactive-book-bookmarked');
+    }
+    else {
+      button.classList.remove('h5p-interactive-book-bookmarked');
+    }
+  }
+
+  /**
+   * Create an item of the bookmark list.
+   *
+   * @param {object} bookmark Bookmark.
+   * @param {object} position Chapter and section index of bookmark.
+   * @return {HTMLElement} Bookmark item.
+   */
+  createBookmarkNode(bookmark, position) {
+    const sectionParams = this.parent.params.chapters[position.chapterId].params.content[position.sectionId].content;
+
+    const chapterTitle = document.createElement('div');
+    chapterTitle.classList.add('h5p-interactive-book-bookmark-chapter');
+    chapterTitle.innerHTML = this.parent.getChapterTitle(position.chapterId);
+
+    const sectionTitle = document.createElement('div');
+    sectionTitle.classList.add('h5p-interactive-book-bookmark-section');
+    sectionTitle.innerHTML = this.parent.outline.getTitle(sectionParams);
+
+    const button = document.createElement('button');
+    button.classList.add('h5p-interactive-book-bookmark-button');
+    button.appendChild(chapterTitle);
+    button.appendChild(sectionTitle);
+    button.onclick = () => {
+      this.parent.trigger('newChapter', {
+        h5pbookid: this.parent.contentId,
+        chapter: `h5p-interactive-book-chapter-${bookmark.chapter}`,
+        section: `h5p-interactive-book-section-${bookmark.section}`
+      });
+
+      if (this.parent.sideBar.isOpenOnMobile()) {
+        this.parent.trigger('toggleMenu');
+      }
+    };
+
+    const removeButton = document.createElement('button');
+    removeButton.classList.add('h5p-interactive-book-bookmark-remove');
+    removeButton.setAttribute('title', this.params.l10n.removeBookmark);
+    removeButton.setAttribute('aria-label', this.params.l10n.removeBookmark);
+    removeButton.onclick = () => {
+      this.toggle(bookmark.chapter, bookmark.section);
+    };
+
+    const item = document.createElement('li');
+    item.classList.add('h5p-interactive-book-bookmark');
+    item.appendChild(button);
+    item.appendChild(removeButton);
+
+    return item;
+  }
+
+  /**
+   * Update the list of bookmarks and the toggles of the sections.
+   */
+  update() {
+    // Sections may have been removed from the book since they were bookmarked
+    const positions = [];
+    this.bookmarks = this.bookmarks.filter(bookmark => {
+      const position = this.findPosition(bookmark);
+      if (position) {
+        positions.push({bookmark, position});
+      }
+      return position !== null;
+    });
+
+    positions.sort((a, b) => a.position.chapterId - b.position.chapterId ||
+      a.position.sectionId - b.position.sectionId);
+
+    this.list.innerHTML = '';
+    positions.forEach(item => {
+      this.list.appendChild(this.createBookmarkNode(item.bookmark, item.position));
+    });
+
+    if (positions.length) {
+      this.emptyMessage.classList.add('h5p-content-hidden');
+    }
+    else {
+      this.emptyMessage.classList.remove('h5p-content-hidden');
+    }
+
+    this.parent.chapters.forEach(chapter => {
+      chapter.sections.forEach(section => {
+        this.updateToggleButton(chapter.id, section.subContentId);
+      });
+    });
+
+    this.parent.trigger('resize');
+  }
+}
+
+export default Bookmarks;
@@ -0,0 +1,449 @@
+import Outline from './outline';
+
+/** Characters that are part of a word besides cased letters, e.g. digits, Hebrew and Arabic */
+const WORD_CHARACTER = /[0-9_\u0590-\u05FF\u0600-\u06FF\u0750-\u077F]/;
+
+/** Elements whose text is never marked as a term */
+const SKIPPED_ELEMENTS = ['A', 'BUTTON', 'SCRIPT', 'STYLE', 'TEXTAREA'];
+
+/**
+ * Glossary of terms defined for the whole book
+ *
+ * Terms are marked in the text sections when a chapter is attached. Activating
+ * a term shows its definition, and the glossary panel of the side bar lists
+ * all terms with the chapters they are used in.
+ *
+ * Constructor function.
+ */
+class Glossary extends H5P.EventDispatcher {
+  constructor(parent, params) {
+    super();
+
+    this.parent = parent;
+    this.params = params || {};
+
+    this.params.l10n = Object.assign({
+      usedIn: 'Used in',
+      close: 'Close'
+    }, this.params.l10n || {});
+
+    this.terms = (this.params.terms || [])
+      .filter(item => item && item.term && Glossary.getText(item.term).trim())
+      .map((item, index) => ({
+        id: index,
+        term: Glossary.getText(item.term).trim(),
+        definition: item.definition || ''
+      }))
+      .sort((a, b) => a.term.localeCompare(b.term));
+
+    // Longer terms first, they win over terms they contain
+    this.matchOrder = this.terms.slice().sort((a, b) => b.term.length - a.term.length);
+
+    this.occurrences = this.findOccurrences(this.params.chapters || []);
+
+    this.container = this.createContainer();
+    this.popover = this.createPopover();
+  }
+
+  /**
+   * Check whether the book has terms.
+   *
+   * @return {boolean} True, if there are terms.
+   */
+  hasTerms() {
+    return this.terms.length > 0;
+  }
+
+  /**
+   * Show definitions when terms in the chapters are activated.
+   *
+   * @param {HTMLElement} content Element holding the chapters.
+   */
+  attach(content) {
+    this.content = content;
+    content.appendChild(this.popover.container);
+
+    content.addEventListener('click', (event) => {
+      const termNode = this.findTermNode(event.target);
+      if (termNode) {
+        this.openPopover(termNode);
+      }
+      else if (!this.popover.container.contains(event.target)) {
+        this.closePopover(true);
+      }
+    });
+  }
+
+  /**
+   * Create the panel listing all terms.
+   *
+   * @return {HTMLElement} Glossary panel.
+   */
+  createContainer() {
+    this.list = document.createElement('dl');
+    this.list.classList.add('h5p-interactive-book-glossary-list');
+
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-glossary');
+    container.appendChild(this.list);
+
+    return container;
+  }
+
+  /**
+   * Create the popover showing the definition of a term.
+   *
+   * @return {object} Popover elements.
+   */
+  createPopover() {
+    const title = document.createElement('div');
+    title.classList.add('h5p-interactive-book-glossary-popover-term');
+    title.id = `h5p-interactive-book-glossary-popover-term-${this.parent.contentId}`;
+
+    const definition = document.createElement('div');
+    definition.classList.add('h5p-interactive-book-glossary-popover-definition');
+
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('h5p-interactive-book-glossary-popover-close');
+    closeButton.setAttribute('title', this.params.l10n.close);
+    closeButton.setAttribute('aria-label', this.params.l10n.close);
+    closeButton.onclick = () => {
+      this.closePopover();
+    };
+
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-glossary-popover');
+    container.classList.add('h5p-content-hidden');
+    container.id = `h5p-interactive-book-glossary-popover-${this.parent.contentId}`;
+    container.setAttribute('role', 'dialog');
+    container.setAttribute('aria-labelledby', title.id);
+    container.appendChild(closeButton);
+    container.appendChild(title);
+    container.appendChild(definition);
+
+    container.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' || event.key === 'Esc') {
+        this.closePopover();
+        event.preventDefault();
+      }
+    });
+
+    // Leaving the popover closes it
+    container.addEventListener('focusout', (event) => {
+      if (event.relatedTarget && !container.contains(event.relatedTarget)) {
+        this.closePopover(true);
+      }
+    });
+
+    return {
+      container,
+      title,
+      definition,
+      closeButton
+    };
+  }
+
+  /**
+   * Find the term element that an element belongs to.
+   *
+   * @param {HTMLElement} element Element.
+   * @return {HTMLElement|null} Term element.
+   */
+  findTermNode(element) {
+    while (element && element !== this.content) {
+      if (element.classList && element.classList.contains('h5p-interactive-book-glossary-term')) {
+        return element;
+      }
+      element = element.parentNode;
+    }
+
+    return null;
+  }
+
+  /**
+   * Show the definition of a term next to it.
+   *
+   * @param {HTMLElement} termNode Term element.
+   */
+  openPopover(termNode) {
+    const term = this.terms.filter(item => item.id === parseInt(termNode.getAttribute('data-term-id'), 10))[0];
+    if (!term) {
+      return;
+    }
+
+    if (this.activeTermNode) {
+      this.activeTermNode.setAttribute('aria-expanded', 'false');
+    }
+    this.activeTermNode = termNode;
+    termNode.setAttribute('aria-expanded', 'true');
+
+    this.popover.title.textContent = term.term;
+    this.popover.definition.innerHTML = term.definition;
+    this.popover.container.classList.remove('h5p-content-hidden');
+
+    // Keep the popover within the content, which hides what overflows
+    const rect = termNode.getBoundingClientRect();
+    const contentRect = this.content.getBoundingClientRect();
+    const maxTop = Math.max(0, contentRect.height - this.popover.container.offsetHeight);
+    const maxLeft = Math.max(0, contentRect.width - this.popover.container.offsetWidth);
+    this.popover.container.style.top = `${Math.min(rect.bottom - contentRect.top, maxTop)}px`;
+    this.popover.container.style.left = `${Math.min(Math.max(0, rect.left - contentRect.left), maxLeft)}px`;
+
+    this.popover.closeButton.focus();
+  }
+
+  /**
+   * Hide the definition.
+   *
+   * @param {boolean} [keepFocus] If true, focus is not returned to the term.
+   */
+  closePopover(keepFocus) {
+    if (this.popover.container.classList.contains('h5p-content-hidden')) {
+      return;
+    }
+
+    this.popover.container.classList.add('h5p-content-hidden');
+    if (this.activeTermNode) {
+      this.activeTermNode.setAttribute('aria-expanded', 'false');
+      if (!keepFocus) {
+        this.activeTermNode.focus();
+      }
+    }
+    this.activeTermNode = null;
+  }
+
+  /**
+   * Find the terms in the text of an element.
+   *
+   * @param {HTMLElement} root Element.
+   * @return {object[]} Text nodes with the terms found in them.
+   */
+  findTerms(root) {
+    const found = [];
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (Glossary.isSkipped(node, root)) {
+        continue;
+      }
+
+      const matches = this.findMatches(node.nodeValue);
+      if (matches.length) {
+        found.push({node, matches});
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Find the terms in a text.
+   *
+   * @param {string} text Text.
+   * @return {object[]} Matches with term, start and end offset, in order of the text.
+   */
+  findMatches(text) {
+    const lowerCaseText = text.toLowerCase();
+    const matches = [];
+
+    this.matchOrder.forEach(term => {
+      const lowerCaseTerm = term.term.toLowerCase();
+
+      let start = lowerCaseText.indexOf(lowerCaseTerm);
+      while (start !== -1) {
+        const end = start + lowerCaseTerm.length;
+        const isWord = !Glossary.isWordCharacter(text.charAt(start - 1)) && !Glossary.isWordCharacter(text.charAt(end));
+        const overlaps = matches.some(match => start < match.end && end > match.start);
+        if (isWord && !overlaps) {
+          matches.push({term, start, end});
+        }
+
+        start = lowerCaseText.indexOf(lowerCaseTerm, end);
+      }
+    });
+
+    return matches.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Find the chapters and sections that use the terms.
+   *
+   * @param {object[]} chaptersParams Parameters of the chapters.
+   * @return {object[]} For each term the first section using it per chapter.
+   */
+  findOccurrences(chaptersParams) {
+    const occurrences = this.terms.map(() => []);
+
+    chaptersParams.forEach((chapterParams, chapterId) => {
+      const sectionsParams = (chapterParams.params && chapterParams.params.content) || [];
+      sectionsParams.forEach(sectionParams => {
+        const content = sectionParams.content;
+        if (!content || content.library.split(' ')[0] !== 'H5P.AdvancedText' || !content.params.text) {
+          return;
+        }
+
+        const text = Outline.parseHTML(content.params.text);
+        this.findTerms(text).forEach(item => {
+          item.matches.forEach(match => {
+            const termOccurrences = occurrences[this.terms.indexOf(match.term)];
+            if (!termOccurrences.some(occurrence => occurrence.chapterId === chapterId)) {
+              termOccurrences.push({chapterId, section: content.subContentId});
+            }
+          });
+        });
+      });
+    });
+
+    return occurrences;
+  }
+
+  /**
+   * Mark the terms in the text sections of a chapter that has been attached.
+   *
+   * @param {object} chapter Chapter.
+   * @param {HTMLElement} columnNode Column element.
+   */
+  markChapter(chapter, columnNode) {
+    chapter.sections.forEach(section => {
+      if (section.library.split(' ')[0] !== 'H5P.AdvancedText') {
+        return;
+      }
+
+      const root = columnNode.querySelector(`#h5p-interactive-book-section-${section.subContentId}`);
+      if (!root) {
+        return;
+      }
+
+      this.findTerms(root).forEach(item => {
+        // Split from the end, so the offsets of earlier matches stay valid
+        item.matches.slice().reverse().forEach(match => {
+          const target = item.node.splitText(match.start);
+          target.splitText(match.end - match.start);
+
+          const termNode = document.createElement('button');
+          termNode.classList.add('h5p-interactive-book-glossary-term');
+          termNode.setAttribute('type', 'button');
+          termNode.setAttribute('data-term-id', match.term.id);
+          termNode.setAttribute('aria-haspopup', 'dialog');
+          termNode.setAttribute('aria-expanded', 'false');
+          termNode.setAttribute('aria-controls', `h5p-interactive-book-glossary-popover-${this.parent.contentId}`);
+
+          target.parentNode.insertBefore(termNode, target);
+          termNode.appendChild(target);
+        });
+      });
+    });
+  }
+
+  /**
+   * Update the glossary panel.
+   */
+  update() {
+    this.list.innerHTML = '';
+
+    this.terms.forEach((term, index) => {
+      const termNode = document.createElement('dt');
+      termNode.classList.add('h5p-interactive-book-glossary-list-term');
+      termNode.textContent = term.term;
+
+      const definition = document.createElement('div');
+      definition.classList.add('h5p-interactive-book-glossary-list-text');
+      definition.innerHTML = term.definition;
+
+      const description = document.createElement('dd');
+      description.classList.add('h5p-interactive-book-glossary-list-definition');
+      description.appendChild(definition);
+
+      if (this.occurrences[index].length) {
+        description.appendChild(this.createOccurrencesNode(this.occurrences[index]));
+      }
+
+      this.list.appendChild(termNode);
+      this.list.appendChild(description);
+    });
+  }
+
+  /**
+   * Create the links to the chapters using a term.
+   *
+   * @param {object[]} occurrences Chapter and section of each occurrence.
+   * @return {HTMLElement} Occurrences.
+   */
+  createOccurrencesNode(occurrences) {
+    const label = document.createElement('span');
+    label.classList.add('h5p-interactive-book-glossary-used-in');
+    label.innerHTML = `${this.params.l10n.usedIn}:`;
+
+    const list = document.createElement('ul');
+    list.classList.add('h5p-interactive-book-glossary-occurrences');
+
+    occurrences.forEach(occurrence => {
+      const button = document.createElement('button');
+      button.classList.add('h5p-interactive-book-glossary-occurrence');
+      button.innerHTML = this.parent.getChapterTitle(occurrence.chapterId);
+      button.onclick = () => {
+        this.parent.trigger('newChapter', {
+          h5pbookid: this.parent.contentId,
+          chapter: `h5p-interactive-book-chapter-${this.parent.chapters[occurrence.chapterId].id}`,
+          section: `h5p-interactive-book-section-${occurrence.section}`
+        });
+
+        if (this.parent.sideBar.isOpenOnMobile()) {
+          this.parent.trigger('toggleMenu');
+        }
+      };
+
+      const item = document.createElement('li');
+      item.appendChild(button);
+      list.appendChild(item);
+    });
+
+    const container = document.createElement('div');
+    container.appendChild(label);
+    container.appendChild(list);
+
+    return container;
+  }
+
+  /**
+   * Check whether a text node is inside an element that is not marked.
+   *
+   * @param {Node} node Text node.
+   * @param {HTMLElement} root Element to look within.
+   * @return {boolean} True, if the node should not be marked.
+   */
+  static isSkipped(node, root) {
+    while (node.parentNode && node.parentNode !== root) {
+      node = node.parentNode;
+      if (SKIPPED_ELEMENTS.indexOf(node.nodeName) !== -1) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Check whether a character is part of a word.
+   *
+   * @param {string} character Character, empty at the start or end of a text.
+   * @return {boolean} True, if the character is part of a word.
+   */
+  static isWordCharacter(character) {
+    return character !== '' &&
+      (character.toLowerCase() !== character.toUpperCase() || WORD_CHARACTER.test(character));
+  }
+
+  /**
+   * Get text of HTML.
+   *
+   * @param {string} html HTML.
+   * @return {string} Text.
+   */
+  static getText(html) {
+    return Outline.parseHTML(html).textContent;
+  }
+}
+
+export default Glossary;
@@ -0,0 +1,766 @@
+import Outline from './outline';
+
+/**
+ * Highlights of text in the sections with private notes of the learner
+ *
+ * Highlights are anchored by the section's subContentId and the offsets of the
+ * highlighted text within the section's text. The text itself is kept as well
+ * to find the highlight again if the author has changed the text.
+ *
+ * Constructor function.
+ */
+class Highlights extends H5P.EventDispatcher {
+  constructor(parent, params, previousHighlights) {
+    super();
+
+    this.parent = parent;
+    this.params = params || {};
+
+    this.params.l10n = Object.assign({
+      highlight: 'Highlight',
+      note: 'Note',
+      saveNote: 'Save',
+      deleteHighlight: 'Delete highlight',
+      close: 'Close',
+      noHighlights: 'No highlights yet. Select text in a chapter to highlight it and add a note.',
+      exportMarkdown: 'Export as Markdown',
+      exportJSON: 'Export as JSON'
+    }, this.params.l10n || {});
+
+    this.highlights = (Array.isArray(previousHighlights) ? previousHighlights : [])
+      .filter(highlight => highlight && typeof highlight.section === 'string' &&
+        typeof highlight.start === 'number' && typeof highlight.end === 'number' && highlight.end > highlight.start)
+      .map(highlight => ({
+        id: highlight.id || H5P.createUUID(),
+        chapter: highlight.chapter,
+        section: highlight.section,
+        start: highlight.start,
+        end: highlight.end,
+        text: highlight.text || '',
+        note: highlight.note || '',
+        created: highlight.created
+      }));
+
+    this.container = this.createContainer();
+    this.toolbar = this.createToolbar();
+    this.editor = this.createEditor();
+  }
+
+  /**
+   * Listen for text selections in the chapters.
+   *
+   * @param {HTMLElement} content Element holding the chapters.
+   */
+  attach(content) {
+    this.content = content;
+    content.appendChild(this.toolbar);
+    content.appendChild(this.editor.container);
+
+    const handleSelection = () => {
+      // Wait for the browser to update the selection
+      setTimeout(() => {
+        this.handleSelection();
+      }, 0);
+    };
+    content.addEventListener('mouseup', handleSelection);
+    content.addEventListener('keyup', handleSelection);
+    content.addEventListener('touchend', handleSelection);
+
+    content.addEventListener('click', (event) => {
+      const mark = this.findMark(event.target);
+      if (mark) {
+        this.openEditor(mark.getAttribute('data-highlight-id'));
+      }
+    });
+
+    content.addEventListener('keydown', (event) => {
+      const mark = this.findMark(event.target);
+      if (mark && (event.keyCode === 13 || event.keyCode === 32)) {
+        this.openEditor(mark.getAttribute('data-highlight-id'));
+        event.preventDefault();
+      }
+    });
+  }
+
+  /**
+   * Create the panel listing all highlights.
+   *
+   * @return {HTMLElement} Notes panel.
+   */
+  createContainer() {
+    this.list = document.createElement('ul');
+    this.list.classList.add('h5p-interactive-book-notes-list');
+
+    this.emptyMessage = document.createElement('p');
+    this.emptyMessage.classList.add('h5p-interactive-book-notes-empty');
+    this.emptyMessage.innerHTML = this.params.l10n.noHighlights;
+
+    const exportMarkdown = document.createElement('button');
+    exportMarkdown.classList.add('h5p-interactive-book-notes-export');
+    exportMarkdown.innerHTML = this.params.l10n.exportMarkdown;
+    exportMarkdown.onclick = () => {
+      Highlights.download(this.toMarkdown(), `${this.getFileName()}.md`, 'text/markdown');
+    };
+
+    const exportJSON = document.createElement('button');
+    exportJSON.classList.add('h5p-interactive-book-notes-export');
+    exportJSON.innerHTML = this.params.l10n.exportJSON;
+    exportJSON.onclick = () => {
+      Highlights.download(JSON.stringify(this.toJSON(), null, 2), `${this.getFileName()}.json`, 'application/json');
+    };
+
+    this.exportButtons = document.createElement('div');
+    this.exportButtons.classList.add('h5p-interactive-book-notes-exports');
+    this.exportButtons.appendChild(exportMarkdown);
+    this.exportButtons.appendChild(exportJSON);
+
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-notes');
+    container.appendChild(this.list);
+    container.appendChild(this.emptyMessage);
+    container.appendChild(this.exportButtons);
+
+    return container;
+  }
+
+  /**
+   * Create the button shown next to a text selection.
+   *
+   * @return {HTMLElement} Toolbar.
+   */
+  createToolbar() {
+    const button = document.createElement('button');
+    button.classList.add('h5p-interactive-book-highlight-button');
+    button.innerHTML = this.params.l10n.highlight;
+
+    // Keep the selection when the button is pressed
+    button.addEventListener('mousedown', event => event.preventDefault());
+    button.onclick = () => {
+      const highlight = this.createHighlight();
+      this.hideToolbar();
+      if (highlight) {
+        this.openEditor(highlight.id);
+      }
+    };
+
+    const toolbar = document.createElement('div');
+    toolbar.classList.add('h5p-interactive-book-highlight-toolbar');
+    toolbar.classList.add('h5p-content-hidden');
+    toolbar.appendChild(button);
+
+    return toolbar;
+  }
+
+  /**
+   * Create the editor for the note of a highlight.
+   *
+   * @return {object} Editor elements.
+   */
+  createEditor() {
+    const label = document.createElement('label');
+    label.classList.add('h5p-interactive-book-note-label');
+    label.innerHTML = this.params.l10n.note;
+
+    const textarea = document.createElement('textarea');
+    textarea.classList.add('h5p-interactive-book-note-input');
+    textarea.setAttribute('rows', '3');
+    textarea.id = `h5p-interactive-book-note-input-${this.parent.contentId}`;
+    label.setAttribute('for', textarea.id);
+
+    const saveButton = document.createElement('button');
+    saveButton.classList.add('h5p-interactive-book-note-save');
+    saveButton.innerHTML = this.params.l10n.saveNote;
+    saveButton.onclick = () => {
+      this.setNote(this.editedHighlight, textarea.value);
+      this.closeEditor();
+    };
+
+    const deleteButton = document.createElement('button');
+    deleteButton.classList.add('h5p-interactive-book-note-delete');
+    deleteButton.innerHTML = this.params.l10n.deleteHighlight;
+    deleteButton.onclick = () => {
+      this.removeHighlight(this.editedHighlight);
+      this.closeEditor();
+    };
+
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('h5p-interactive-book-note-close');
+    closeButton.setAttribute('title', this.params.l10n.close);
+    closeButton.setAttribute('aria-label', this.params.l10n.close);
+    closeButton.onclick = () => {
+      this.closeEditor();
+    };
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('h5p-interactive-book-note-buttons');
+    buttons.appendChild(saveButton);
+    buttons.appendChild(deleteButton);
+
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-note-editor');
+    container.classList.add('h5p-content-hidden');
+    container.setAttribute('role', 'dialog');
+    container.appendChild(closeButton);
+    container.appendChild(label);
+    container.appendChild(textarea);
+    container.appendChild(buttons);
+
+    container.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' || event.key === 'Esc') {
+        this.closeEditor();
+        event.preventDefault();
+      }
+    });
+
+    return {
+      container,
+      textarea
+    };
+  }
+
+  /**
+   * Find the highlight mark that an element belongs to.
+   *
+   * @param {HTMLElement} element Element.
+   * @return {HTMLElement|null} Mark.
+   */
+  findMark(element) {
+    while (element && element !== this.content) {
+      if (element.classList && element.classList.contains('h5p-interactive-book-highlight')) {
+        return element;
+      }
+      element = element.parentNode;
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the text section that contains a node.
+   *
+   * @param {Node} node Node.
+   * @return {object|null} Chapter, section and section element.
+   */
+  findTextSection(node) {
+    while (node && node !== this.content) {
+      if (node.nodeType === Node.ELEMENT_NODE && node.id && node.id.indexOf('h5p-interactive-book-section-') === 0) {
+        const target = this.parent.pageContent.findSection(node.id);
+        if (!target || target.section.library.split(' ')[0] !== 'H5P.AdvancedText') {
+          return null;
+        }
+
+        const chapterId = this.parent.getActiveChapter();
+        return {
+          chapter: this.parent.chapters[chapterId].id,
+          section: target.section.subContentId,
+          node: node
+        };
+      }
+      node = node.parentNode;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the text selection if it can be highlighted.
+   *
+   * @return {object|null} Range and the section it is in.
+   */
+  getSelection() {
+    const selection = window.getSelection ? window.getSelection() : null;
+    if (!selection || selection.rangeCount === 0 || selection.isCollapsed) {
+      return null;
+    }
+
+    const range = selection.getRangeAt(0);
+    const section = this.findTextSection(range.startContainer);
+    if (!section || !section.node.contains(range.endContainer) || !range.toString().trim()) {
+      return null;
+    }
+
+    return {range, section};
+  }
+
+  /**
+   * Show or hide the highlight button depending on the text selection.
+   */
+  handleSelection() {
+    const selected = this.getSelection();
+    if (!selected) {
+      this.hideToolbar();
+      return;
+    }
+
+    const rect = selected.range.getBoundingClientRect();
+    const contentRect = this.content.getBoundingClientRect();
+
+    this.toolbar.style.top = `${rect.bottom - contentRect.top}px`;
+    this.toolbar.style.left = `${Math.max(0, rect.left - contentRect.left)}px`;
+    this.toolbar.classList.remove('h5p-content-hidden');
+  }
+
+  /**
+   * Hide the highlight button.
+   */
+  hideToolbar() {
+    this.toolbar.classList.add('h5p-content-hidden');
+  }
+
+  /**
+   * Get the offset of a position within the text of an element.
+   *
+   * @param {HTMLElement} root Element.
+   * @param {Node} node Node of the position.
+   * @param {number} offset Offset within the node.
+   * @return {number} Offset within the text of the element.
+   */
+  getTextOffset(root, node, offset) {
+    const range = document.createRange();
+    range.setStart(root, 0);
+    range.setEnd(node, offset);
+
+    return range.toString().length;
+  }
+
+  /**
+   * Create a highlight from the text selection.
+   *
+   * @return {object|null} Highlight.
+   */
+  createHighlight() {
+    const selected = this.getSelection();
+    if (!selected) {
+      return null;
+    }
+
+    const root = selected.section.node;
+    const start = this.getTextOffset(root, selected.range.startContainer, selected.range.startOffset);
+    const end = this.getTextOffset(root, selected.range.endContainer, selected.range.endOffset);
+
+    const highlight = {
+      id: H5P.createUUID(),
+      chapter: selected.section.chapter,
+      section: selected.section.section,
+      start: start,
+      end: end,
+      text: root.textContent.substring(start, end),
+      note: '',
+      created: new Date().toISOString()
+    };
+    this.highlights.push(highlight);
+
+    window.getSelection().removeAllRanges();
+    this.paint(root, highlight);
+    this.update();
+
+    return highlight;
+  }
+
+  /**
+   * Get a highlight.
+   *
+   * @param {string} id Highlight id.
+   * @return {object|undefined} Highlight.
+   */
+  getHighlight(id) {
+    return this.highlights.filter(highlight => highlight.id === id)[0];
+  }
+
+  /**
+   * Set the note of a highlight.
+   *
+   * @param {string} id Highlight id.
+   * @param {string} note Note.
+   */
+  setNote(id, note) {
+    const highlight = this.getHighlight(id);
+    if (highlight) {
+      highlight.note = note.trim();
+      this.update();
+    }
+  }
+
+  /**
+   * Remove a highlight.
+   *
+   * @param {string} id Highlight id.
+   */
+  removeHighlight(id) {
+    this.highlights = this.highlights.filter(highlight => highlight.id !== id);
+
+    if (this.content) {
+      const marks = this.content.querySelectorAll(`.h5p-interactive-book-highlight[data-highlight-id="${id}"]`);
+      for (let i = 0; i < marks.length; i++) {
+        const mark = marks[i];
+        const parentNode = mark.parentNode;
+        while (mark.firstChild) {
+          parentNode.insertBefore(mark.firstChild, mark);
+        }
+        parentNode.removeChild(mark);
+        parentNode.normalize();
+      }
+    }
+
+    this.update();
+  }
+
+  /**
+   * Open the editor for the note of a highlight.
+   *
+   * @param {string} id Highlight id.
+   */
+  openEditor(id) {
+    const highlight = this.getHighlight(id);
+    const mark = this.content.querySelector(`.h5p-interactive-book-highlight[data-highlight-id="${id}"]`);
+    if (!highlight || !mark) {
+      return;
+    }
+
+    this.editedHighlight = id;
+    this.previousFocus = document.activeElement;
+
+    this.editor.textarea.value = highlight.note;
+    this.editor.container.classList.remove('h5p-content-hidden');
+
+    // Keep the editor within the content, which hides what overflows
+    const rect = mark.getBoundingClientRect();
+    const contentRect = this.content.getBoundingClientRect();
+    const maxTop = Math.max(0, contentRect.height - this.editor.container.offsetHeight);
+    this.editor.container.style.top = `${Math.min(rect.bottom - contentRect.top, maxTop)}px`;
+
+    this.editor.textarea.focus();
+  }
+
+  /**
+   * Close the editor for notes.
+   */
+  closeEditor() {
+    this.editor.container.classList.add('h5p-content-hidden');
+    this.editedHighlight = null;
+
+    if (this.previousFocus && this.content.contains(this.previousFocus)) {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  /**
+   * Find the offsets of a highlight in a text, the text may have been changed since.
+   *
+   * @param {string} text Text of the section.
+   * @param {object} highlight Highlight.
+   * @return {object|null} Start and end offset or null if the text is gone.
+   */
+  locate(text, highlight) {
+    if (!highlight.text || text.substring(highlight.start, highlight.end) === highlight.text) {
+      return (highlight.end <= text.length) ? {start: highlight.start, end: highlight.end} : null;
+    }
+
+    const start = text.indexOf(highlight.text);
+    return (start === -1) ? null : {start: start, end: start + highlight.text.length};
+  }
+
+  /**
+   * Wrap the text of a highlight in marks.
+   *
+   * @param {HTMLElement} root Section element.
+   * @param {object} highlight Highlight.
+   */
+  paint(root, highlight) {
+    const position = this.locate(root.textContent, highlight);
+    if (!position) {
+      return;
+    }
+
+    // Collect text nodes first, wrapping them changes the tree
+    const textNodes = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+
+    let offset = 0;
+    let isFirst = true;
+    textNodes.forEach(node => {
+      const nodeStart = offset;
+      const nodeEnd = offset + node.length;
+      offset = nodeEnd;
+
+      if (nodeEnd <= position.start || nodeStart >= position.end || !node.nodeValue.trim()) {
+        return;
+      }
+
+      // Only wrap the part of the node that belongs to the highlight
+      let target = node;
+      if (position.start > nodeStart) {
+        target = target.splitText(position.start - nodeStart);
+      }
+      if (position.end < nodeEnd) {
+        target.splitText(position.end - Math.max(nodeStart, position.start));
+      }
+
+      const mark = document.createElement('mark');
+      mark.classList.add('h5p-interactive-book-highlight');
+      mark.setAttribute('data-highlight-id', highlight.id);
+      if (highlight.note) {
+        mark.classList.add('h5p-interactive-book-highlight-note');
+        mark.setAttribute('title', highlight.note);
+      }
+      if (isFirst) {
+        // One focusable element per highlight to open its note
+        mark.setAttribute('tabindex', '0');
+        mark.setAttribute('role', 'button');
+        mark.setAttribute('aria-label', `${this.params.l10n.highlight}: ${highlight.text}`);
+        isFirst = false;
+      }
+
+      target.parentNode.insertBefore(mark, target);
+      mark.appendChild(target);
+    });
+  }
+
+  /**
+   * Restore the highlights of a chapter that has been attached.
+   *
+   * @param {object} chapter Chapter.
+   * @param {HTMLElement} columnNode Column element.
+   */
+  paintChapter(chapter, columnNode) {
+    chapter.sections.forEach(section => {
+      const root = columnNode.querySelector(`#h5p-interactive-book-section-${section.subContentId}`);
+      if (!root) {
+        return;
+      }
+
+      this.highlights
+        .filter(highlight => highlight.section === section.subContentId)
+        .forEach(highlight => this.paint(root, highlight));
+    });
+  }
+
+  /**
+   * Find the position of a highlight in the book.
+   *
+   * @param {object} highlight Highlight.
+   * @return {object|null} Chapter and section index or null if the section is gone.
+   */
+  findPosition(highlight) {
+    for (let chapterId = 0; chapterId < this.parent.chapters.length; chapterId++) {
+      const sectionId = this.parent.chapters[chapterId].sections
+        .map(section => section.subContentId)
+        .indexOf(highlight.section);
+
+      if (sectionId !== -1) {
+        return {chapterId, sectionId};
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get highlights in the order of the book.
+   *
+   * @return {object[]} Highlights with their position.
+   */
+  getSortedHighlights() {
+    return this.highlights
+      .map(highlight => ({highlight, position: this.findPosition(highlight)}))
+      .filter(item => item.position !== null)
+      .sort((a, b) => a.position.chapterId - b.position.chapterId ||
+        a.position.sectionId - b.position.sectionId ||
+        a.highlight.start - b.highlight.start);
+  }
+
+  /**
+   * Get highlights to be stored in the book's state.
+   *
+   * @return {object[]} Highlights.
+   */
+  getHighlights() {
+    return this.highlights.map(highlight => Object.assign({}, highlight));
+  }
+
+  /**
+   * Create an item of the notes panel.
+   *
+   * @param {object} highlight Highlight.
+   * @param {object} position Chapter and section index of the highlight.
+   * @return {HTMLElement} Item.
+   */
+  createNoteNode(highlight, position) {
+    const chapterTitle = document.createElement('div');
+    chapterTitle.classList.add('h5p-interactive-book-notes-chapter');
+    chapterTitle.innerHTML = this.parent.getChapterTitle(position.chapterId);
+
+    const quote = document.createElement('div');
+    quote.classList.add('h5p-interactive-book-notes-quote');
+    quote.textContent = highlight.text;
+
+    const button = document.createElement('button');
+    button.classList.add('h5p-interactive-book-notes-button');
+    button.appendChild(chapterTitle);
+    button.appendChild(quote);
+
+    if (highlight.note) {
+      const note = document.createElement('div');
+      note.classList.add('h5p-interactive-book-notes-note');
+      note.textContent = highlight.note;
+      button.appendChild(note);
+    }
+
+    button.onclick = () => {
+      this.parent.trigger('newChapter', {
+        h5pbookid: this.parent.contentId,
+        chapter: `h5p-interactive-book-chapter-${this.parent.chapters[position.chapterId].id}`,
+        section: `h5p-interactive-book-section-${highlight.section}`
+      });
+
+      if (this.parent.sideBar.isOpenOnMobile()) {
+        this.parent.trigger('toggleMenu');
+      }
+    };
+
+    const item = document.createElement('li');
+    item.classList.add('h5p-interactive-book-notes-item');
+    item.appendChild(button);
+
+    return item;
+  }
+
+  /**
+   * Update the notes panel and the marks of notes.
+   */
+  update() {
+    const highlights = this.getSortedHighlights();
+
+    this.list.innerHTML = '';
+    highlights.forEach(item => {
+      this.list.appendChild(this.createNoteNode(item.highlight, item.position));
+    });
+
+    if (highlights.length) {
+      this.emptyMessage.classList.add('h5p-content-hidden');
+      this.exportButtons.classList.remove('h5p-content-hidden');
+    }
+    else {
+      this.emptyMessage.classList.remove('h5p-content-hidden');
+      this.exportButtons.classList.add('h5p-content-hidden');
+    }
+
+    // Marks show whether there is a note
+    if (this.content) {
+      this.highlights.forEach(highlight => {
+        const marks = this.content.querySelectorAll(`.h5p-interactive-book-highlight[data-highlight-id="${highlight.id}"]`);
+        for (let i = 0; i < marks.length; i++) {
+          if (highlight.note) {
+            marks[i].classList.add('h5p-interactive-book-highlight-note');
+            marks[i].setAttribute('title', highlight.note);
+          }
+          else {
+            marks[i].classList.remove('h5p-interactive-book-highlight-note');
+            marks[i].removeAttribute('title');
+          }
+        }
+      });
+    }
+
+    this.parent.trigger('resize');
+  }
+
+  /**
+   * Get name for exported files.
+   *
+   * @return {string} File name without extension.
+   */
+  getFileName() {
+    const title = (this.params.title || 'interactive-book').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+    return `${title || 'interactive-book'}-notes`;
+  }
+
+  /**
+   * Get highlights for exporting.
+   *
+   * @return {object} Book title and highlights.
+   */
+  toJSON() {
+    return {
+      title: this.params.title || '',
+      highlights: this.getSortedHighlights().map(item => ({
+        chapter: this.parent.getChapterTitle(item.position.chapterId),
+        section: this.parent.outline.getTitle(
+          this.parent.params.chapters[item.position.chapterId].params.content[item.position.sectionId].content
+        ),
+        text: item.highlight.text,
+        note: item.highlight.note,
+        created: item.highlight.created
+      }))
+    };
+  }
+
+  /**
+   * Get highlights as Markdown.
+   *
+   * @return {string} Markdown.
+   */
+  toMarkdown() {
+    const data = this.toJSON();
+    const lines = [`# ${data.title}`];
+
+    let chapter = null;
+    data.highlights.forEach(highlight => {
+      if (highlight.chapter !== chapter) {
+        chapter = highlight.chapter;
+        lines.push('', `## ${Highlights.getText(chapter)}`);
+      }
+
+      lines.push('', `> ${highlight.text.replace(/\n/g, '\n> ')}`);
+      if (highlight.note) {
+        lines.push('', highlight.note);
+      }
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Get text of HTML.
+   *
+   * @param {string} html HTML.
+   * @return {string} Text.
+   */
+  static getText(html) {
+    return Outline.parseHTML(html).textContent;
+  }
+
+  /**
+   * Let the browser save a file.
+   *
+   * @param {string} content File content.
+   * @param {string} fileName File name.
+   * @param {string} type MIME type.
+   */
+  static download(content, fileName, type) {
+    const blob = new Blob([content], {type: `${type};charset=utf-8`});
+
+    if (window.navigator.msSaveBlob) {
+      window.navigator.msSaveBlob(blob, fileName);
+      return;
+    }
+
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    setTimeout(() => {
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+}
+
+export default Highlights;
@@ -0,0 +1,348 @@
+/** Roles of elements that handle keys like the arrow keys themselves */
+const INTERACTIVE_ROLES = [
+  'combobox', 'grid', 'gridcell', 'listbox', 'menu', 'menubar', 'menuitem',
+  'option', 'radio', 'radiogroup', 'slider', 'spinbutton', 'tab', 'tablist',
+  'textbox', 'tree', 'treegrid', 'treeitem'
+];
+
+/** Elements that handle keys themselves, incl. those with an interactive role */
+const INTERACTIVE_SELECTOR = ['input', 'textarea', 'select', '[contenteditable]:not([contenteditable="false"])']
+  .concat(INTERACTIVE_ROLES.map(role => `[role="${role}"]`))
+  .join(', ');
+
+/** Libraries of sections that leave keys to the book, other sections are interactive */
+const STATIC_LIBRARIES = ['H5P.AdvancedText', 'H5P.Image'];
+
+/** Arrow keys as reported by event.key, incl. IE11 names */
+const ARROW_KEYS = {
+  left: {keys: ['ArrowLeft', 'Left'], label: '←'},
+  right: {keys: ['ArrowRight', 'Right'], label: '→'}
+};
+
+/**
+ * Keyboard shortcuts for navigating the book and the overlay listing them
+ * Constructor function.
+ */
+class KeyboardShortcuts extends H5P.EventDispatcher {
+  constructor(parent, params) {
+    super();
+
+    this.parent = parent;
+    this.params = params || {};
+
+    this.params.l10n = Object.assign({
+      keyboardShortcuts: 'Keyboard shortcuts',
+      previousPage: 'Previous page',
+      nextPage: 'Next page',
+      firstPage: 'First page',
+      lastPage: 'Last page',
+      menu: 'Toggle navigation menu',
+      showKeyboardShortcuts: 'Show keyboard shortcuts',
+      close: 'Close',
+      keyPageUp: 'Page Up',
+      keyPageDown: 'Page Down',
+      keyHome: 'Home',
+      keyEnd: 'End'
+    }, this.params.l10n || {});
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Listen for shortcuts on the book's wrapper.
+   *
+   * @param {HTMLElement} wrapper Book wrapper.
+   */
+  attach(wrapper) {
+    this.wrapper = wrapper;
+
+    // The direction of the book is known once it is attached
+    this.shortcuts = this.getShortcuts();
+    this.overlay = this.createOverlay();
+
+    wrapper.appendChild(this.overlay.container);
+    wrapper.addEventListener('keydown', this.handleKeyDown);
+  }
+
+  /**
+   * Create the overlay that lists the shortcuts.
+   *
+   * @return {object} Overlay elements.
+   */
+  createOverlay() {
+    const title = document.createElement('h2');
+    title.classList.add('h5p-interactive-book-shortcuts-title');
+    title.setAttribute('id', `h5p-interactive-book-shortcuts-title-${this.parent.contentId}`);
+    title.innerHTML = this.params.l10n.keyboardShortcuts;
+
+    const list = document.createElement('dl');
+    list.classList.add('h5p-interactive-book-shortcuts-list');
+    this.shortcuts.forEach(shortcut => {
+      const keys = document.createElement('dt');
+      shortcut.labels.forEach(label => {
+        const key = document.createElement('kbd');
+        key.innerHTML = label;
+        keys.appendChild(key);
+      });
+
+      const description = document.createElement('dd');
+      description.innerHTML = this.getDescription(shortcut.action);
+
+      list.appendChild(keys);
+      list.appendChild(description);
+    });
+
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('h5p-interactive-book-shortcuts-close');
+    closeButton.setAttribute('title', this.params.l10n.close);
+    closeButton.setAttribute('aria-label', this.params.l10n.close);
+    closeButton.onclick = () => {
+      this.hideHelp();
+    };
+
+    const dialog = document.createElement('div');
+    dialog.classList.add('h5p-interactive-book-shortcuts-dialog');
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', title.getAttribute('id'));
+    dialog.appendChild(closeButton);
+    dialog.appendChild(title);
+    dialog.appendChild(list);
+
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-shortcuts');
+    container.classList.add('h5p-content-hidden');
+    container.appendChild(dialog);
+
+    // Clicking next to the dialog closes it
+    container.addEventListener('click', (event) => {
+      if (event.target === container) {
+        this.hideHelp();
+      }
+    });
+
+    return {
+      container,
+      closeButton
+    };
+  }
+
+  /**
+   * Get the shortcuts, the arrow keys follow the direction of the text.
+   *
+   * @return {object[]} Shortcuts with action, keys and labels.
+   */
+  getShortcuts() {
+    const backward = this.parent.isRTL() ? ARROW_KEYS.right : ARROW_KEYS.left;
+    const forward = this.parent.isRTL() ? ARROW_KEYS.left : ARROW_KEYS.right;
+    const l10n = this.params.l10n;
+
+    return [
+      {action: 'previous', keys: backward.keys.concat(['PageUp']), labels: [backward.label, l10n.keyPageUp]},
+      {action: 'next', keys: forward.keys.concat(['PageDown']), labels: [forward.label, l10n.keyPageDown]},
+      {action: 'first', keys: ['Home'], labels: [l10n.keyHome]},
+      {action: 'last', keys: ['End'], labels: [l10n.keyEnd]},
+      {action: 'menu', keys: ['m', 'M'], labels: ['M']},
+      {action: 'help', keys: ['?'], labels: ['?']}
+    ];
+  }
+
+  /**
+   * Get the description of a shortcut.
+   *
+   * @param {string} action Action of the shortcut.
+   * @return {string} Description.
+   */
+  getDescription(action) {
+    const descriptions = {
+      previous: this.params.l10n.previousPage,
+      next: this.params.l10n.nextPage,
+      first: this.params.l10n.firstPage,
+      last: this.params.l10n.lastPage,
+      menu: this.params.l10n.menu,
+      help: this.params.l10n.showKeyboardShortcuts
+    };
+
+    return descriptions[action];
+  }
+
+  /**
+   * Check whether the help overlay is shown.
+   *
+   * @return {boolean} True, if the help overlay is shown.
+   */
+  isHelpVisible() {
+    return !this.overlay.container.classList.contains('h5p-content-hidden');
+  }
+
+  /**
+   * Show the help overlay.
+   */
+  showHelp() {
+    if (this.isHelpVisible()) {
+      return;
+    }
+
+    this.previousFocus = document.activeElement;
+    this.overlay.container.classList.remove('h5p-content-hidden');
+    this.overlay.closeButton.focus();
+  }
+
+  /**
+   * Hide the help overlay and return focus to where it was.
+   */
+  hideHelp() {
+    if (!this.isHelpVisible()) {
+      return;
+    }
+
+    this.overlay.container.classList.add('h5p-content-hidden');
+    if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  /**
+   * Check whether an element or one of its ancestors handles keys itself,
+   * e.g. an input field or a radio button of a task.
+   *
+   * @param {HTMLElement} element Element.
+   * @return {boolean} True, if the element handles keys itself.
+   */
+  isInteractiveElement(element) {
+    if (!element || !element.tagName) {
+      return false;
+    }
+
+    return element.isContentEditable || KeyboardShortcuts.closest(element, INTERACTIVE_SELECTOR) !== null;
+  }
+
+  /**
+   * Check whether an element is part of a section with interactive content,
+   * e.g. a task or a video, which may use any key.
+   *
+   * @param {HTMLElement} element Element.
+   * @return {boolean} True, if the element is part of an interactive section.
+   */
+  isInInteractiveSection(element) {
+    const sectionNode = KeyboardShortcuts.closest(element, '[id^="h5p-interactive-book-section-"]');
+    if (!sectionNode || !this.wrapper.contains(sectionNode)) {
+      return false;
+    }
+
+    const subContentId = sectionNode.id.replace('h5p-interactive-book-section-', '');
+    const section = this.parent.chapters
+      .reduce((sections, chapter) => sections.concat(chapter.sections), [])
+      .filter(section => section.subContentId === subContentId)[0];
+
+    return !section || STATIC_LIBRARIES.indexOf(section.library.split(' ')[0]) === -1;
+  }
+
+  /**
+   * Get the element itself or its closest ancestor that matches a selector.
+   *
+   * @param {HTMLElement} element Element.
+   * @param {string} selector Selector.
+   * @return {HTMLElement|null} Matching element.
+   */
+  static closest(element, selector) {
+    if (typeof element.closest === 'function') {
+      return element.closest(selector);
+    }
+
+    // IE11 only knows the prefixed matches
+    while (element && element.nodeType === Node.ELEMENT_NODE) {
+      if (element.msMatchesSelector(selector)) {
+        return element;
+      }
+      element = element.parentNode;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the shortcut that belongs to a key.
+   *
+   * @param {string} key Key as reported by event.key.
+   * @return {object|undefined} Shortcut.
+   */
+  getShortcut(key) {
+    return this.shortcuts.filter(shortcut => shortcut.keys.indexOf(key) !== -1)[0];
+  }
+
+  /**
+   * Handle key presses on the book.
+   *
+   * @param {KeyboardEvent} event Keyboard event.
+   */
+  handleKeyDown(event) {
+    if (this.isHelpVisible()) {
+      if (event.key === 'Escape' || event.key === 'Esc') {
+        this.hideHelp();
+        event.preventDefault();
+      }
+      else if (event.key === 'Tab') {
+        // The close button is the only focusable element in the dialog
+        this.overlay.closeButton.focus();
+        event.preventDefault();
+      }
+      return;
+    }
+
+    // Leave keys to child interactions and to the browser's own shortcuts
+    if (event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey ||
+      this.isInteractiveElement(event.target) || this.isInInteractiveSection(event.target) ||
+      this.wrapper.classList.contains('covered') ||
+      this.wrapper.classList.contains('h5p-interactive-book-print-view')) {
+      return;
+    }
+
+    const shortcut = this.getShortcut(event.key);
+    if (!shortcut) {
+      return;
+    }
+
+    this.handleAction(shortcut.action);
+    event.preventDefault();
+  }
+
+  /**
+   * Run the action of a shortcut.
+   *
+   * @param {string} action Action.
+   */
+  handleAction(action) {
+    const lastChapter = this.parent.pageContent.getLastUnlockedChapter();
+
+    switch (action) {
+      case 'previous':
+      case 'next':
+        this.parent.statusBarHeader.trigger('seqChapter', {
+          direction: (action === 'previous') ? 'prev' : 'next',
+          toTop: true
+        });
+        break;
+
+      case 'first':
+      case 'last':
+        this.parent.trigger('newChapter', {
+          h5pbookid: this.parent.contentId,
+          chapter: `h5p-interactive-book-chapter-${this.parent.chapters[(action === 'first') ? 0 : lastChapter].id}`,
+          section: 'top'
+        });
+        break;
+
+      case 'menu':
+        this.parent.trigger('toggleMenu');
+        break;
+
+      case 'help':
+        this.showHelp();
+        break;
+    }
+  }
+}
+
+export default KeyboardShortcuts;
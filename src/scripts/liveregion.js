@@ -0,0 +1,45 @@
+/** Time to collect messages before they are announced, in ms */
+const ANNOUNCE_DELAY = 100;
+
+/**
+ * Region that lets screen readers announce what happens in the book
+ * Constructor function.
+ */
+class LiveRegion {
+  constructor() {
+    this.messages = [];
+
+    this.container = document.createElement('div');
+    this.container.classList.add('h5p-interactive-book-live-region');
+    this.container.setAttribute('aria-live', 'polite');
+    this.container.setAttribute('aria-atomic', 'true');
+  }
+
+  /**
+   * Announce a message.
+   *
+   * Messages that are announced at the same time, e.g. a task and the chapter
+   * it completes, are read as one. Clearing the region first makes screen
+   * readers read a message again even if it didn't change.
+   *
+   * @param {string} message Message.
+   */
+  announce(message) {
+    if (!message) {
+      return;
+    }
+
+    if (!this.messages.length) {
+      this.container.innerHTML = '';
+    }
+    this.messages.push(message);
+
+    clearTimeout(this.announceTimeout);
+    this.announceTimeout = setTimeout(() => {
+      this.container.innerHTML = this.messages.join(' ');
+      this.messages = [];
+    }, ANNOUNCE_DELAY);
+  }
+}
+
+export default LiveRegion;
@@ -0,0 +1,205 @@
+/** Extractors of outline entries per library machine name */
+const extractors = {};
+
+/**
+ * Outline of the sections in the book, e.g. headers of texts or panels of accordions
+ *
+ * Third party libraries can add their own entries to the table of contents:
+ * H5P.InteractiveBook.Outline.register('H5P.MyLibrary', {
+ *   getEntries: (params, options) => [{title: 'Entry'}],
+ *   findElement: (sectionNode, entry, index, options) => sectionNode.querySelector('...'),
+ *   activate: (instance, entry) => {}, // Optional, e.g. seek a video
+ *   getTitle: (content, options) => 'Section title' // Optional, defaults to metadata title
+ * });
+ *
+ * Constructor function.
+ */
+class Outline {
+  constructor(params) {
+    this.params = params || {};
+
+    // Heading levels of texts, H2 up to the configured level
+    const maxLevel = Math.min(Math.max(parseInt(this.params.headingLevel) || 3, 2), 6);
+    this.options = {
+      headingSelector: [2, 3, 4, 5, 6]
+        .filter(level => level <= maxLevel)
+        .map(level => `h${level}`)
+        .join(', '),
+      l10n: Object.assign({
+        newLink: 'New link'
+      }, this.params.l10n || {})
+    };
+  }
+
+  /**
+   * Register an extractor for a library.
+   *
+   * @param {string} machineName Machine name, e.g. H5P.AdvancedText.
+   * @param {object} extractor Extractor.
+   * @param {function} [extractor.getEntries] Get entries from the parameters.
+   * @param {function} [extractor.findElement] Find the element of an entry.
+   * @param {function} [extractor.activate] Activate an entry after scrolling to it.
+   * @param {function} [extractor.getTitle] Get title of the section.
+   */
+  static register(machineName, extractor) {
+    extractors[machineName] = extractor;
+  }
+
+  /**
+   * Get the extractor for a library.
+   *
+   * @param {string} library Library name, e.g. H5P.AdvancedText 1.1.
+   * @return {object} Extractor, empty if none is registered.
+   */
+  static getExtractor(library) {
+    return extractors[(library || '').split(' ')[0]] || {};
+  }
+
+  /**
+   * Parse HTML, e.g. of parameters, in a document of its own.
+   *
+   * Unlike an element of the page, that document doesn't load images or
+   * other resources of chapters that are not loaded yet.
+   *
+   * @param {string} html HTML.
+   * @return {HTMLElement} Element holding the parsed HTML.
+   */
+  static parseHTML(html) {
+    const body = document.implementation.createHTMLDocument('').body;
+    body.innerHTML = html || '';
+    return body;
+  }
+
+  /**
+   * Get the title of a section.
+   *
+   * @param {object} content Section content parameters.
+   * @return {string} Title.
+   */
+  getTitle(content) {
+    const extractor = Outline.getExtractor(content.library);
+    if (typeof extractor.getTitle === 'function') {
+      return extractor.getTitle(content, this.options);
+    }
+
+    return (content.metadata && content.metadata.title) || '';
+  }
+
+  /**
+   * Get the outline entries of a section.
+   *
+   * @param {object} content Section content parameters.
+   * @return {object[]} Entries with title.
+   */
+  getEntries(content) {
+    const extractor = Outline.getExtractor(content.library);
+    if (typeof extractor.getEntries !== 'function' || !content.params) {
+      return [];
+    }
+
+    return (extractor.getEntries(content.params, this.options) || [])
+      .filter(entry => entry && entry.title);
+  }
+
+  /**
+   * Find the element of an outline entry in a section that has been attached.
+   *
+   * @param {HTMLElement} sectionNode Section element.
+   * @param {object} content Section content parameters.
+   * @param {number} index Index of the entry.
+   * @return {HTMLElement|null} Element of the entry.
+   */
+  findElement(sectionNode, content, index) {
+    const extractor = Outline.getExtractor(content.library);
+    if (typeof extractor.findElement !== 'function') {
+      return null;
+    }
+
+    const entry = this.getEntries(content)[index];
+    return entry ? extractor.findElement(sectionNode, entry, index, this.options) || null : null;
+  }
+
+  /**
+   * Activate an outline entry, e.g. seek a video to a bookmark.
+   *
+   * @param {object} instance Instance of the section.
+   * @param {object} content Section content parameters.
+   * @param {number} index Index of the entry.
+   */
+  activate(instance, content, index) {
+    const extractor = Outline.getExtractor(content.library);
+    const entry = this.getEntries(content)[index];
+    if (instance && entry && typeof extractor.activate === 'function') {
+      extractor.activate(instance, entry);
+    }
+  }
+
+  /**
+   * Check whether a node is a heading that is part of the outline.
+   *
+   * @param {Node} node Node.
+   * @return {boolean} True, if node is an outline heading.
+   */
+  isHeading(node) {
+    return node.nodeType === Node.ELEMENT_NODE &&
+      this.options.headingSelector.split(', ').indexOf(node.nodeName.toLowerCase()) !== -1;
+  }
+}
+
+/**
+ * Get text of HTML.
+ *
+ * @param {string} html HTML.
+ * @return {string} Text.
+ */
+const getText = (html) => Outline.parseHTML(html).textContent.trim();
+
+Outline.register('H5P.AdvancedText', {
+  getEntries: (params, options) => {
+    const text = Outline.parseHTML(params.text);
+
+    const headers = text.querySelectorAll(options.headingSelector);
+    const entries = [];
+    for (let i = 0; i < headers.length; i++) {
+      entries.push({title: headers[i].textContent});
+    }
+
+    return entries;
+  },
+  findElement: (sectionNode, entry, index, options) => sectionNode.querySelectorAll(options.headingSelector)[index]
+});
+
+Outline.register('H5P.Accordion', {
+  getEntries: params => (params.panels || []).map(panel => ({title: getText(panel.title)})),
+  findElement: (sectionNode, entry, index) => sectionNode.querySelectorAll('.h5p-panel-title')[index]
+});
+
+Outline.register('H5P.Image', {
+  getEntries: params => params.title ? [{title: getText(params.title)}] : [],
+  findElement: sectionNode => sectionNode.querySelector('img')
+});
+
+Outline.register('H5P.InteractiveVideo', {
+  getEntries: params => {
+    const assets = (params.interactiveVideo && params.interactiveVideo.assets) || {};
+    return (assets.bookmarks || [])
+      .slice()
+      .sort((a, b) => a.time - b.time)
+      .map(bookmark => ({
+        title: getText(bookmark.label),
+        time: bookmark.time
+      }));
+  },
+  findElement: sectionNode => sectionNode.querySelector('.h5p-video-wrapper') || sectionNode,
+  activate: (instance, entry) => {
+    if (typeof instance.seek === 'function') {
+      instance.seek(entry.time);
+    }
+  }
+});
+
+Outline.register('H5P.Link', {
+  getTitle: (content, options) => (content.params && content.params.title) ? content.params.title : options.l10n.newLink
+});
+
+export default Outline;
@@ -1,4 +1,11 @@
 import URLTools from './urltools';
+import Swipe from './swipe';
+
+/** Transitions between chapters */
+const TRANSITIONS = ['slide', 'fade', 'none'];
+
+/** Time after which a transition is finished if the browser didn't report it, in ms */
+const TRANSITION_TIMEOUT = 400;
 
 class PageContent extends H5P.EventDispatcher {
   /**
@@ -12,6 +19,11 @@ class PageContent extends H5P.EventDispatcher {
     super();
     this.parent = parent;
     this.behaviour = config.behaviour;
+    this.contentId = contentId;
+    this.contentData = contentData;
+
+    // Number of chapters before and after the current one that are kept loaded
+    this.chapterWindow = Math.max(1, parseInt(this.behaviour.chapterWindow) || 2);
 
     this.params = params;
     this.targetPage = {};
@@ -21,7 +33,7 @@ class PageContent extends H5P.EventDispatcher {
     this.shouldAutoplay = [];
     this.chapters = [];
 
-    const startChapter = this.createColumns(config, contentId, contentData);
+    const startChapter = this.createColumns(config);
     this.preloadChapter(startChapter);
 
     this.content = this.createPageContent();
@@ -35,6 +47,8 @@ class PageContent extends H5P.EventDispatcher {
 
     this.container.appendChild(this.content);
 
+    this.swipe = new Swipe(this, this.parent);
+
     this.parent.on('coverRemoved', () => {
       this.handleChapterChange(this.parent.getActiveChapter());
     });
@@ -91,11 +105,13 @@ class PageContent extends H5P.EventDispatcher {
   /**
    * Create page read checkbox.
    *
+   * @param {boolean} [checked=false] True, if chapter has been read already.
    * @return {HTMLElement} Checkbox for marking a chapter as read.
    */
-  createChapterReadCheckbox() {
+  createChapterReadCheckbox(checked = false) {
     const checkbox = document.createElement('input');
     checkbox.setAttribute('type', 'checkbox');
+    checkbox.checked = checked;
     checkbox.onclick = (event) => {
       this.parent.setChapterRead(undefined, event.target.checked);
     };
@@ -111,6 +127,18 @@ class PageContent extends H5P.EventDispatcher {
     return wrapper;
   }
 
+  /**
+   * Uncheck the read checkboxes of the chapters that are loaded.
+   */
+  resetChapterReadCheckboxes() {
+    this.columnNodes.forEach(columnNode => {
+      const checkbox = columnNode.querySelector('.h5p-interactive-book-status-progress-marker input');
+      if (checkbox) {
+        checkbox.checked = false;
+      }
+    });
+  }
+
   /**
    * Inject section instance UUID into DOM.
    *
@@ -121,7 +149,7 @@ class PageContent extends H5P.EventDispatcher {
     const columnContent = columnNode.getElementsByClassName('h5p-column-content');
 
     for (let i = 0; i < sections.length; i++) {
-      columnContent[i].id = `h5p-interactive-book-section-${sections[i].instance.subContentId}`;
+      columnContent[i].id = `h5p-interactive-book-section-${sections[i].subContentId}`;
     }
   }
 
@@ -134,6 +162,224 @@ class PageContent extends H5P.EventDispatcher {
     this.initializeChapter(chapterIndex + 1);
   }
 
+  /**
+   * Get instance of a chapter, create it if it doesn't exist yet.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {H5P.Column} Chapter instance.
+   */
+  getChapterInstance(chapterIndex) {
+    const chapter = this.chapters[chapterIndex];
+    if (chapter.instance) {
+      return chapter.instance;
+    }
+
+    const instance = this.createChapterInstance(chapterIndex);
+    this.parent.bubbleUp(instance, 'resize', this.parent);
+
+    chapter.instance = instance;
+    let hasChangedTasks = false;
+    instance.getInstances().forEach((sectionInstance, index) => {
+      if (chapter.sections[index]) {
+        chapter.sections[index].instance = sectionInstance;
+        hasChangedTasks = this.updateSectionTask(chapter, chapter.sections[index]) || hasChangedTasks;
+      }
+    });
+
+    if (hasChangedTasks && this.parent.sideBar) {
+      this.parent.sideBar.updateChapterSections(chapterIndex);
+    }
+
+    return instance;
+  }
+
+  /**
+   * Update whether a section is a task once its instance exists.
+   *
+   * Instances may tell otherwise than their library, e.g. by their parameters.
+   *
+   * @param {object} chapter Chapter.
+   * @param {object} section Section with instance.
+   * @return {boolean} True, if the section has changed.
+   */
+  updateSectionTask(chapter, section) {
+    const isTask = H5P.Column.isTask(section.instance);
+    if (isTask === section.isTask) {
+      return false;
+    }
+
+    section.isTask = isTask;
+    chapter.hasTasks = chapter.sections.some(chapterSection => chapterSection.isTask);
+
+    if (this.behaviour.progressIndicators) {
+      if (isTask) {
+        section.taskDone = false;
+        chapter.tasksLeft += 1;
+        chapter.maxTasks += 1;
+      }
+      else {
+        if (!section.taskDone) {
+          chapter.tasksLeft -= 1;
+        }
+        section.taskDone = undefined;
+        chapter.maxTasks -= 1;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Create a new instance of a chapter from its previous state.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {H5P.Column} Chapter instance.
+   */
+  createChapterInstance(chapterIndex) {
+    const chapter = this.chapters[chapterIndex];
+
+    // Each chapter gets its own copy, the previous state is the column's
+    const chapterContentData = Object.assign({}, this.contentData, {
+      previousState: chapter.state
+    });
+
+    return H5P.newRunnable(chapter.params, this.contentId, undefined, undefined, chapterContentData);
+  }
+
+  /**
+   * Use the instance of a chapter, loading the chapter for the moment if needed.
+   *
+   * Chapters loaded here are unloaded right after, which keeps their state
+   * and scores.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @param {function} callback Function that gets the instance.
+   * @return {*} Return value of the callback.
+   */
+  useChapterInstance(chapterIndex, callback) {
+    if (this.chapters[chapterIndex].instance) {
+      return callback(this.chapters[chapterIndex].instance);
+    }
+
+    const result = callback(this.getChapterInstance(chapterIndex));
+    this.unloadChapter(chapterIndex);
+
+    return result;
+  }
+
+  /**
+   * Make sure the scores of all chapters with tasks are known, e.g. before
+   * the book's total score is reported.
+   */
+  loadChapterScores() {
+    this.chapters.forEach((chapter, index) => {
+      if (chapter.hasTasks && !this.getKnownChapterScores(index)) {
+        // Unloading the chapter keeps its scores
+        this.useChapterInstance(index, () => {});
+      }
+    });
+  }
+
+  /**
+   * Get score, maximum score and whether all tasks of a chapter were answered.
+   *
+   * Chapters that are not loaded use the scores they had when they were
+   * unloaded or saved. Chapters that were never loaded have no score yet,
+   * see loadChapterScores.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {object} Scores.
+   */
+  getChapterScores(chapterIndex) {
+    if (!this.chapters[chapterIndex].hasTasks) {
+      return {score: 0, maxScore: 0, answerGiven: true};
+    }
+
+    return this.getKnownChapterScores(chapterIndex) || {score: 0, maxScore: 0, answerGiven: false};
+  }
+
+  /**
+   * Get the scores of a chapter if they are known without creating an instance.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {object|undefined} Scores.
+   */
+  getKnownChapterScores(chapterIndex) {
+    const chapter = this.chapters[chapterIndex];
+    return chapter.instance ? PageContent.getScores(chapter.instance) : chapter.scores;
+  }
+
+  /**
+   * Get scores of an instance.
+   *
+   * @param {object} instance H5P instance.
+   * @return {object} Scores.
+   */
+  static getScores(instance) {
+    return {
+      score: (typeof instance.getScore === 'function') ? instance.getScore() : 0,
+      maxScore: (typeof instance.getMaxScore === 'function') ? instance.getMaxScore() : 0,
+      answerGiven: (typeof instance.getAnswerGiven === 'function') ? instance.getAnswerGiven() : true
+    };
+  }
+
+  /**
+   * Get current state of a chapter's instance.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {object} Current state or the state kept when the chapter was unloaded.
+   */
+  getChapterState(chapterIndex) {
+    const chapter = this.chapters[chapterIndex];
+    if (!chapter.instance) {
+      return chapter.state;
+    }
+
+    return (typeof chapter.instance.getCurrentState === 'function') ?
+      chapter.instance.getCurrentState() :
+      undefined;
+  }
+
+  /**
+   * Unload a chapter, keeping its state for when it's needed again.
+   *
+   * @param {number} chapterIndex Chapter index.
+   */
+  unloadChapter(chapterIndex) {
+    const chapter = this.chapters[chapterIndex];
+    if (!chapter.instance) {
+      return;
+    }
+
+    chapter.sections.forEach(section => {
+      this.pauseMedia(section.instance);
+      section.instance = undefined;
+    });
+
+    chapter.state = this.getChapterState(chapterIndex);
+    chapter.scores = PageContent.getScores(chapter.instance);
+    chapter.instance = undefined;
+
+    const columnNode = this.columnNodes[chapterIndex];
+    while (columnNode.firstChild) {
+      columnNode.removeChild(columnNode.firstChild);
+    }
+    chapter.isInitialized = false;
+  }
+
+  /**
+   * Unload all chapters outside the window around the current chapter.
+   *
+   * @param {number} currentIndex Index of current chapter.
+   */
+  unloadDistantChapters(currentIndex) {
+    this.chapters.forEach((chapter, index) => {
+      if (Math.abs(index - currentIndex) > this.chapterWindow) {
+        this.unloadChapter(index);
+      }
+    });
+  }
+
   /**
    * Initialize chapter
    * @param {number} chapterIndex
@@ -149,11 +395,23 @@ class PageContent extends H5P.EventDispatcher {
       const columnNode = this.columnNodes[chapterIndex];
 
       // Attach
-      chapter.instance.attach(H5P.jQuery(columnNode));
+      this.getChapterInstance(chapterIndex).attach(H5P.jQuery(columnNode));
       this.injectSectionId(chapter.sections, columnNode);
 
+      if (this.parent.bookmarks) {
+        this.parent.bookmarks.addToggleButtons(chapter, columnNode);
+      }
+
+      if (this.parent.glossary) {
+        this.parent.glossary.markChapter(chapter, columnNode);
+      }
+
+      if (this.parent.highlights) {
+        this.parent.highlights.paintChapter(chapter, columnNode);
+      }
+
       if (this.behaviour.progressIndicators && !this.behaviour.progressAuto) {
-        columnNode.appendChild(this.createChapterReadCheckbox());
+        columnNode.appendChild(this.createChapterReadCheckbox(chapter.ownCompleted));
       }
 
       chapter.isInitialized = true;
@@ -161,16 +419,16 @@ class PageContent extends H5P.EventDispatcher {
   }
 
   /**
-   * Create Column instances.
+   * Create chapters, instances are only created once they are needed.
    *
    * @param {object} config Parameters.
-   * @param {number} contentId Content id.
-   * @param {object} contentData Content data.
    * @return {number} start chapter
    */
-  createColumns(config, contentId, contentData) {
-    contentData = Object.assign({}, contentData);
-    const urlFragments = URLTools.extractFragmentsFromURL(this.parent.validateFragments);
+  createColumns(config) {
+    const urlFragments = URLTools.extractFragmentsFromURL(
+      this.parent.validateFragments, this.parent.router.getHash(), this.parent.contentId
+    );
+    const previousState = this.getPreviousState(config.chapters.length);
     const chapters = [];
     this.chapters = chapters;
 
@@ -179,27 +437,33 @@ class PageContent extends H5P.EventDispatcher {
       const columnNode = document.createElement('div');
       this.overrideParameters(i, config.chapters[i]);
 
-      const newInstance = H5P.newRunnable(config.chapters[i], contentId, undefined, undefined, contentData);
-      this.parent.bubbleUp(newInstance, 'resize', this.parent);
+      const chapterState = previousState.chapters ? previousState.chapters[i] : undefined;
 
       const chapter = {
         isInitialized: false,
-        instance: newInstance,
+        id: config.chapters[i].subContentId,
+        params: config.chapters[i],
+        instance: undefined,
+        state: chapterState ? chapterState.state : undefined,
+        scores: undefined,
         title: config.chapters[i].metadata.title,
+        ownCompleted: false,
         completed: false,
         tasksLeft: 0,
-        sections: newInstance.getInstances().map(instance => ({
-          instance: instance,
+        sections: config.chapters[i].params.content.map(section => ({
+          subContentId: section.content.subContentId,
+          library: section.content.library,
+          instance: undefined,
           isTask: false
         }))
       };
 
       columnNode.classList.add('h5p-interactive-book-chapter');
-      columnNode.id = `h5p-interactive-book-chapter-${newInstance.subContentId}`;
+      columnNode.id = `h5p-interactive-book-chapter-${chapter.id}`;
 
       // Find sections with tasks and tracks them
       chapter.sections.forEach(section => {
-        if (H5P.Column.isTask(section.instance)) {
+        if (this.isTask(section.library)) {
           section.isTask = true;
 
           if (this.behaviour.progressIndicators) {
@@ -210,16 +474,29 @@ class PageContent extends H5P.EventDispatcher {
       });
 
       chapter.maxTasks = chapter.tasksLeft;
+      chapter.hasTasks = chapter.sections.some(section => section.isTask);
+
+      if (chapterState) {
+        this.restoreChapterState(chapter, chapterState);
+      }
 
       // Register both the HTML-element and the H5P-element
       chapters.push(chapter);
       this.columnNodes.push(columnNode);
     }
 
+    this.createStructure(config.chapterLevels || []);
+
+    // Parent chapters are only completed along with their sub-chapters
+    this.chapters.forEach((chapter, index) => {
+      chapter.completed = this.isChapterCompleted(index);
+    });
+
     // First chapter should be visible, except if the URL says otherwise.
     let chapterUUID = this.columnNodes[0].id;
     let startChapter = 0;
-    if (urlFragments.chapter && urlFragments.h5pbookid == this.parent.contentId) {
+    if (urlFragments.chapter && urlFragments.h5pbookid == this.parent.contentId &&
+      !this.isChapterLocked(this.findChapterIndex(urlFragments.chapter))) {
       const chapterIndex = this.findChapterIndex(urlFragments.chapter);
       startChapter = chapterIndex;
       this.parent.setActiveChapter(chapterIndex);
@@ -235,6 +512,10 @@ class PageContent extends H5P.EventDispatcher {
         }, 1000);
       }
     }
+    else if (previousState.activeChapter !== undefined) {
+      startChapter = Math.min(previousState.activeChapter, this.getLastUnlockedChapter());
+      this.parent.setActiveChapter(startChapter);
+    }
 
     this.columnNodes.forEach(node => {
       if (node.id !== chapterUUID) {
@@ -245,11 +526,198 @@ class PageContent extends H5P.EventDispatcher {
     return startChapter;
   }
 
+  /**
+   * Check whether a chapter is done as required for opening the next one.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {boolean} True, if chapter is done.
+   */
+  isChapterDone(chapterIndex) {
+    const chapter = this.chapters[chapterIndex];
+    if (chapter.ownCompleted) {
+      return true;
+    }
+
+    if (chapter.maxTasks > 0) {
+      return chapter.tasksLeft === 0;
+    }
+
+    // Chapters without tasks are done by viewing them if progress is automatic
+    return !!this.behaviour.progressAuto && chapterIndex === this.parent.getActiveChapter();
+  }
+
+  /**
+   * Check whether a chapter and all of its sub-chapters are completed.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {boolean} True, if chapter is completed.
+   */
+  isChapterCompleted(chapterIndex) {
+    return [chapterIndex]
+      .concat(this.getDescendants(chapterIndex))
+      .every(index => this.chapters[index].ownCompleted);
+  }
+
+  /**
+   * Get the last chapter that may be opened.
+   *
+   * @return {number} Chapter index.
+   */
+  getLastUnlockedChapter() {
+    // Progress needs to be tracked for chapters to be locked
+    if (!this.behaviour.linearProgression || !this.behaviour.progressIndicators) {
+      return this.chapters.length - 1;
+    }
+
+    for (let i = 0; i < this.chapters.length - 1; i++) {
+      if (!this.isChapterDone(i)) {
+        return i;
+      }
+    }
+
+    return this.chapters.length - 1;
+  }
+
+  /**
+   * Check whether a chapter is locked, because a previous chapter is not done yet.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {boolean} True, if chapter is locked.
+   */
+  isChapterLocked(chapterIndex) {
+    return chapterIndex > this.getLastUnlockedChapter();
+  }
+
+  /**
+   * Arrange chapters in a tree by their levels and number them, e.g. 2.3.
+   *
+   * @param {number[]} levels Level of each chapter, 1 being the top level.
+   */
+  createStructure(levels) {
+    // Chapter Ids of the path to the current chapter and numbers per level
+    const path = [];
+    const numbers = [];
+
+    this.chapters.forEach((chapter, index) => {
+      // A chapter can be at most one level deeper than the chapter before
+      const level = Math.max(1, Math.min(parseInt(levels[index]) || 1, path.length + 1));
+
+      path.length = level - 1;
+      numbers.length = level;
+      numbers[level - 1] = (numbers[level - 1] || 0) + 1;
+
+      chapter.level = level;
+      chapter.parent = (level > 1) ? path[level - 2] : null;
+      chapter.children = [];
+      chapter.number = numbers.join('.');
+
+      if (chapter.parent !== null) {
+        this.chapters[chapter.parent].children.push(index);
+      }
+      path.push(index);
+    });
+  }
+
+  /**
+   * Check whether the book has sub-chapters.
+   *
+   * @return {boolean} True, if any chapter is below the top level.
+   */
+  hasSubChapters() {
+    return this.chapters.some(chapter => chapter.level > 1);
+  }
+
+  /**
+   * Get all sub-chapters of a chapter, including their sub-chapters.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {number[]} Chapter indexes.
+   */
+  getDescendants(chapterIndex) {
+    return this.chapters[chapterIndex].children.reduce((descendants, child) => {
+      return descendants.concat([child], this.getDescendants(child));
+    }, []);
+  }
+
+  /**
+   * Check whether a library is a task without creating an instance.
+   *
+   * Only the library is known until the chapter is loaded, the instance's own
+   * isTask flag is applied then, see updateSectionTask.
+   *
+   * @param {string} library Library name, e.g. H5P.MultiChoice 1.13.
+   * @return {boolean} True, if the library is a task.
+   */
+  isTask(library) {
+    return H5P.Column.isTask({
+      libraryInfo: H5P.libraryFromString(library)
+    });
+  }
+
+  /**
+   * Get previous state of the book if it can be applied to the chapters.
+   *
+   * @param {number} numberOfChapters Number of chapters in the book.
+   * @return {object} Previous state or empty object.
+   */
+  getPreviousState(numberOfChapters) {
+    const previousState = this.parent.previousState;
+
+    // State is useless if the author has added or removed chapters since
+    if (!previousState || !Array.isArray(previousState.chapters) ||
+      previousState.chapters.length !== numberOfChapters) {
+      return {};
+    }
+
+    if (typeof previousState.activeChapter !== 'number' ||
+      previousState.activeChapter < 0 || previousState.activeChapter > numberOfChapters - 1) {
+      previousState.activeChapter = undefined;
+    }
+
+    return previousState;
+  }
+
+  /**
+   * Restore progress of a chapter from its previous state.
+   *
+   * @param {object} chapter Chapter.
+   * @param {object} chapterState Previous state of the chapter.
+   */
+  restoreChapterState(chapter, chapterState) {
+    // States saved before sub-chapters were rolled up only know completed
+    chapter.ownCompleted = (chapterState.ownCompleted !== undefined ?
+      chapterState.ownCompleted : chapterState.completed) === true;
+
+    const scores = chapterState.scores;
+    if (chapter.hasTasks && scores && typeof scores.score === 'number' && typeof scores.maxScore === 'number') {
+      chapter.scores = {
+        score: scores.score,
+        maxScore: scores.maxScore,
+        answerGiven: scores.answerGiven === true
+      };
+    }
+
+    if (!this.behaviour.progressIndicators || !Array.isArray(chapterState.sections)) {
+      return;
+    }
+
+    chapter.sections.forEach((section, index) => {
+      const sectionState = chapterState.sections[index];
+      if (section.isTask && sectionState && sectionState.taskDone) {
+        section.taskDone = true;
+      }
+    });
+
+    if (typeof chapterState.tasksLeft === 'number') {
+      chapter.tasksLeft = Math.max(0, Math.min(chapterState.tasksLeft, chapter.maxTasks));
+    }
+  }
+
   /**
    * Redirect section.
    *
    * @param {string} sectionUUID Section UUID or top.
-   * @param {number} headerNumber Header index within section
+   * @param {number} headerNumber Index of outline entry within section
    */
   redirectSection(sectionUUID, headerNumber = null) {
     if (sectionUUID === 'top') {
@@ -259,13 +727,17 @@ class PageContent extends H5P.EventDispatcher {
       let section = document.getElementById(sectionUUID);
 
       if (section) {
-        if (headerNumber !== null) {
-          // find header within section
-          const headers = section.querySelectorAll('h2, h3');
-          if (headers[headerNumber]) {
-            // Set section to the header
-            section = headers[headerNumber];
+        const target = (headerNumber !== null && headerNumber !== undefined) ?
+          this.findSection(sectionUUID) :
+          null;
+
+        if (target) {
+          // Set section to the outline entry, e.g. a header
+          const entryNode = this.parent.outline.findElement(section, target.content, parseInt(headerNumber));
+          if (entryNode) {
+            section = entryNode;
           }
+          this.parent.outline.activate(target.section.instance, target.content, parseInt(headerNumber));
         }
 
         const focusHandler = document.createElement('div');
@@ -285,6 +757,28 @@ class PageContent extends H5P.EventDispatcher {
     }
   }
 
+  /**
+   * Find a section by its UUID.
+   *
+   * @param {string} sectionUUID Section UUID.
+   * @return {object|null} Section and its content parameters.
+   */
+  findSection(sectionUUID) {
+    const subContentId = sectionUUID.replace('h5p-interactive-book-section-', '');
+
+    for (let i = 0; i < this.chapters.length; i++) {
+      const sectionId = this.chapters[i].sections.map(section => section.subContentId).indexOf(subContentId);
+      if (sectionId !== -1) {
+        return {
+          section: this.chapters[i].sections[sectionId],
+          content: this.chapters[i].params.params.content[sectionId].content
+        };
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Find chapter index.
    *
@@ -312,7 +806,7 @@ class PageContent extends H5P.EventDispatcher {
    * @param {object} target Target.
    */
   changeChapter(redirectOnLoad, target) {
-    if (this.columnNodes[this.parent.getActiveChapter()].classList.contains('h5p-interactive-book-animate')) {
+    if (this.isAnimating()) {
       return;
     }
 
@@ -330,44 +824,17 @@ class PageContent extends H5P.EventDispatcher {
       if (hasChangedChapter && !redirectOnLoad) {
         this.parent.setActiveChapter(chapterIdNew);
 
-        const direction = (chapterIdOld < chapterIdNew) ? 'next' : 'previous';
-
-        /*
-         * Animation done by making the current and the target node
-         * visible and then applying the correct translation in x-direction
-         */
-        targetChapter.classList.add(`h5p-interactive-book-${direction}`);
-
-        targetChapter.classList.add('h5p-interactive-book-animate');
-        oldChapter.classList.add('h5p-interactive-book-animate');
-
-        // Start the animation
-        setTimeout(() => {
-          if (direction === 'previous') {
-            oldChapter.classList.add('h5p-interactive-book-next');
-          }
-          else {
-            oldChapter.classList.remove('h5p-interactive-book-current');
-            oldChapter.classList.add('h5p-interactive-book-previous');
-          }
-          targetChapter.classList.remove(`h5p-interactive-book-${direction}`);
-        }, 1);
-
-        // End the animation
-        setTimeout(() => {
-          oldChapter.classList.remove('h5p-interactive-book-next');
-          oldChapter.classList.remove('h5p-interactive-book-previous');
-
-          oldChapter.classList.remove('h5p-interactive-book-current');
-          targetChapter.classList.add('h5p-interactive-book-current');
-
-          targetChapter.classList.remove('h5p-interactive-book-animate');
-          oldChapter.classList.remove('h5p-interactive-book-animate');
-
-          this.redirectSection(this.targetPage.section, this.targetPage.headerNumber);
-
-          this.parent.trigger('resize');
-        }, 250);
+        if (this.targetPage.swiped) {
+          // The swipe gesture has moved the chapters into place already
+          this.swipe.reset();
+          this.finishChapterChange(oldChapter, targetChapter, chapterIdNew);
+        }
+        else {
+          const direction = (chapterIdOld < chapterIdNew) ? 'next' : 'previous';
+          this.animateChapterChange(oldChapter, targetChapter, direction, () => {
+            this.finishChapterChange(oldChapter, targetChapter, chapterIdNew);
+          });
+        }
 
         this.handleChapterChange(chapterIdNew, chapterIdOld);
       }
@@ -389,6 +856,129 @@ class PageContent extends H5P.EventDispatcher {
     }
   }
 
+  /**
+   * Get the transition between chapters.
+   *
+   * @return {string} Transition, none if the learner prefers reduced motion.
+   */
+  getTransition() {
+    if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+      return 'none';
+    }
+
+    return (TRANSITIONS.indexOf(this.behaviour.transition) !== -1) ? this.behaviour.transition : 'slide';
+  }
+
+  /**
+   * Check whether chapters are being changed right now.
+   *
+   * @return {boolean} True, if a transition between chapters is running.
+   */
+  isAnimating() {
+    return this.columnNodes[this.parent.getActiveChapter()].classList.contains('h5p-interactive-book-animate');
+  }
+
+  /**
+   * Move the new chapter in and the old one out.
+   *
+   * @param {HTMLElement} oldChapter Column node of the old chapter.
+   * @param {HTMLElement} targetChapter Column node of the new chapter.
+   * @param {string} direction Next or previous.
+   * @param {function} done Callback when the transition has ended.
+   */
+  animateChapterChange(oldChapter, targetChapter, direction, done) {
+    const transition = this.getTransition();
+    if (transition === 'none') {
+      done();
+      return;
+    }
+
+    // Chapters are turned the other way round in right-to-left languages
+    if (this.parent.isRTL()) {
+      direction = (direction === 'next') ? 'previous' : 'next';
+    }
+
+    /*
+     * Animation done by making the current and the target node visible,
+     * then applying the transition's start state and its end state
+     */
+    targetChapter.classList.add('h5p-interactive-book-animate');
+    oldChapter.classList.add('h5p-interactive-book-animate');
+
+    if (transition === 'fade') {
+      targetChapter.classList.add('h5p-interactive-book-transition-fade');
+      oldChapter.classList.add('h5p-interactive-book-transition-fade');
+      targetChapter.classList.add('h5p-interactive-book-faded');
+    }
+    else {
+      targetChapter.classList.add(`h5p-interactive-book-${direction}`);
+    }
+
+    // Make the browser apply the start state before changing it
+    targetChapter.getBoundingClientRect();
+
+    let fallbackTimeout;
+    const handleTransitionEnd = (event) => {
+      if (event && event.target !== targetChapter) {
+        return; // Transitions within the chapter's content
+      }
+
+      clearTimeout(fallbackTimeout);
+      targetChapter.removeEventListener('transitionend', handleTransitionEnd);
+      done();
+    };
+    targetChapter.addEventListener('transitionend', handleTransitionEnd);
+
+    // Browsers don't report transitions that couldn't run, e.g. while the book is hidden
+    fallbackTimeout = setTimeout(handleTransitionEnd, TRANSITION_TIMEOUT);
+
+    if (transition === 'fade') {
+      targetChapter.classList.remove('h5p-interactive-book-faded');
+      oldChapter.classList.add('h5p-interactive-book-faded');
+    }
+    else {
+      if (direction === 'previous') {
+        oldChapter.classList.add('h5p-interactive-book-next');
+      }
+      else {
+        oldChapter.classList.remove('h5p-interactive-book-current');
+        oldChapter.classList.add('h5p-interactive-book-previous');
+      }
+      targetChapter.classList.remove(`h5p-interactive-book-${direction}`);
+    }
+  }
+
+  /**
+   * Show the new chapter in place of the old one once it has been moved in.
+   *
+   * @param {HTMLElement} oldChapter Column node of the old chapter.
+   * @param {HTMLElement} targetChapter Column node of the new chapter.
+   * @param {number} chapterIdNew Id of the new chapter.
+   */
+  finishChapterChange(oldChapter, targetChapter, chapterIdNew) {
+    oldChapter.classList.remove('h5p-interactive-book-next');
+    oldChapter.classList.remove('h5p-interactive-book-previous');
+
+    oldChapter.classList.remove('h5p-interactive-book-current');
+    targetChapter.classList.add('h5p-interactive-book-current');
+
+    targetChapter.classList.remove('h5p-interactive-book-animate');
+    oldChapter.classList.remove('h5p-interactive-book-animate');
+    [oldChapter, targetChapter].forEach(chapter => {
+      chapter.classList.remove('h5p-interactive-book-transition-fade');
+      chapter.classList.remove('h5p-interactive-book-faded');
+    });
+
+    this.redirectSection(this.targetPage.section, this.targetPage.headerNumber);
+
+    this.unloadDistantChapters(chapterIdNew);
+
+    this.parent.trigger('resize');
+
+    // Navigation may have been requested while chapters were changed
+    this.parent.continueNavigation();
+  }
+
   /**
    * Update footer.
    */
@@ -423,6 +1013,8 @@ class PageContent extends H5P.EventDispatcher {
         }
       }
     }
+
+    this.parent.triggerXAPIExperienced(newId, this.targetPage.section);
   }
 
   /**
@@ -488,6 +1080,11 @@ class PageContent extends H5P.EventDispatcher {
    * @param {object} instance
    */
   pauseMedia(instance) {
+    // Reading aloud stops along with the media
+    if (this.parent.readAloud) {
+      this.parent.readAloud.stop();
+    }
+
     try {
       if (instance.pause !== undefined &&
           (instance.pause instanceof Function ||
@@ -512,6 +1109,29 @@ class PageContent extends H5P.EventDispatcher {
     }
   }
 
+  /**
+   * Toggle the summary page in place of the active chapter.
+   *
+   * @param {HTMLElement} summaryNode Summary page.
+   * @param {boolean} show True to show the summary page.
+   */
+  toggleSummary(summaryNode, show) {
+    const activeChapter = this.parent.getActiveChapter();
+    const columnNode = this.columnNodes[activeChapter];
+
+    if (show) {
+      this.chapters[activeChapter].sections.forEach(section => {
+        this.pauseMedia(section.instance);
+      });
+      columnNode.classList.remove('h5p-interactive-book-current');
+      summaryNode.classList.add('h5p-interactive-book-current');
+    }
+    else {
+      summaryNode.classList.remove('h5p-interactive-book-current');
+      columnNode.classList.add('h5p-interactive-book-current');
+    }
+  }
+
   /**
    * Toggle the navigation menu.
    */
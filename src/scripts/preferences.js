@@ -0,0 +1,380 @@
+/** Text sizes relative to the default size */
+const TEXT_SIZES = [0.875, 1, 1.125, 1.25, 1.5, 1.75];
+
+/** Line spacings, each has a class on the book */
+const LINE_SPACINGS = ['normal', 'relaxed', 'loose'];
+
+/** Colour themes, each has a class on the book */
+const THEMES = ['light', 'dark', 'high-contrast'];
+
+/** Preferences the book starts with */
+const DEFAULTS = {
+  textSize: 1,
+  lineSpacing: 'normal',
+  dyslexiaFont: false,
+  theme: 'light'
+};
+
+/**
+ * Reading preferences of the learner and the panel to change them
+ *
+ * The preferences are applied as classes on the book's wrapper, so they
+ * affect the cover, the sidebar and the chapters alike.
+ *
+ * Constructor function.
+ */
+class Preferences extends H5P.EventDispatcher {
+  constructor(parent, params, previousPreferences) {
+    super();
+
+    this.parent = parent;
+    this.params = params || {};
+
+    this.params.l10n = Object.assign({
+      preferences: 'Reading preferences',
+      textSize: 'Text size',
+      decreaseTextSize: 'Smaller text',
+      increaseTextSize: 'Larger text',
+      lineSpacing: 'Line spacing',
+      lineSpacingNormal: 'Normal',
+      lineSpacingRelaxed: 'Relaxed',
+      lineSpacingLoose: 'Loose',
+      dyslexiaFont: 'Dyslexia-friendly font',
+      theme: 'Color theme',
+      themeLight: 'Light',
+      themeDark: 'Dark',
+      themeHighContrast: 'High contrast',
+      resetPreferences: 'Reset',
+      close: 'Close'
+    }, this.params.l10n || {});
+
+    this.preferences = Preferences.validate(previousPreferences);
+    this.panel = this.createPanel();
+  }
+
+  /**
+   * Keep only preferences that are known, using the defaults for the rest.
+   *
+   * @param {object} [preferences] Preferences, e.g. from a previous state.
+   * @return {object} Valid preferences.
+   */
+  static validate(preferences) {
+    preferences = preferences || {};
+
+    return {
+      textSize: TEXT_SIZES.indexOf(preferences.textSize) !== -1 ? preferences.textSize : DEFAULTS.textSize,
+      lineSpacing: LINE_SPACINGS.indexOf(preferences.lineSpacing) !== -1 ? preferences.lineSpacing : DEFAULTS.lineSpacing,
+      dyslexiaFont: preferences.dyslexiaFont === true,
+      theme: THEMES.indexOf(preferences.theme) !== -1 ? preferences.theme : DEFAULTS.theme
+    };
+  }
+
+  /**
+   * Apply the preferences to the book and close the panel with Escape.
+   *
+   * @param {HTMLElement} wrapper Wrapper of the book.
+   */
+  attach(wrapper) {
+    this.wrapper = wrapper;
+    this.apply();
+
+    this.panel.container.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape' || event.key === 'Esc') {
+        this.close();
+        event.preventDefault();
+      }
+    });
+  }
+
+  /**
+   * Create the panel with the controls for the preferences.
+   *
+   * @return {object} Panel elements.
+   */
+  createPanel() {
+    const l10n = this.params.l10n;
+    const id = `h5p-interactive-book-preferences-${this.parent.contentId}`;
+
+    const title = document.createElement('h2');
+    title.classList.add('h5p-interactive-book-preferences-title');
+    title.id = `${id}-title`;
+    title.innerHTML = l10n.preferences;
+
+    // Text size
+    const decreaseButton = document.createElement('button');
+    decreaseButton.classList.add('h5p-interactive-book-preferences-decrease');
+    decreaseButton.setAttribute('title', l10n.decreaseTextSize);
+    decreaseButton.setAttribute('aria-label', l10n.decreaseTextSize);
+    decreaseButton.innerHTML = 'A−';
+    decreaseButton.onclick = () => {
+      this.changeTextSize(-1);
+    };
+
+    const textSizeValue = document.createElement('span');
+    textSizeValue.classList.add('h5p-interactive-book-preferences-text-size-value');
+    textSizeValue.setAttribute('aria-live', 'polite');
+
+    const increaseButton = document.createElement('button');
+    increaseButton.classList.add('h5p-interactive-book-preferences-increase');
+    increaseButton.setAttribute('title', l10n.increaseTextSize);
+    increaseButton.setAttribute('aria-label', l10n.increaseTextSize);
+    increaseButton.innerHTML = 'A+';
+    increaseButton.onclick = () => {
+      this.changeTextSize(1);
+    };
+
+    const textSize = this.createRow(l10n.textSize);
+    textSize.row.setAttribute('role', 'group');
+    textSize.row.setAttribute('aria-labelledby', `${id}-text-size`);
+    textSize.label.id = `${id}-text-size`;
+    textSize.row.appendChild(decreaseButton);
+    textSize.row.appendChild(textSizeValue);
+    textSize.row.appendChild(increaseButton);
+
+    // Line spacing
+    const lineSpacingSelect = this.createSelect(`${id}-line-spacing`, LINE_SPACINGS, {
+      normal: l10n.lineSpacingNormal,
+      relaxed: l10n.lineSpacingRelaxed,
+      loose: l10n.lineSpacingLoose
+    });
+    lineSpacingSelect.onchange = () => {
+      this.set('lineSpacing', lineSpacingSelect.value);
+    };
+
+    const lineSpacing = this.createRow(l10n.lineSpacing, lineSpacingSelect.id);
+    lineSpacing.row.appendChild(lineSpacingSelect);
+
+    // Theme
+    const themeSelect = this.createSelect(`${id}-theme`, THEMES, {
+      light: l10n.themeLight,
+      dark: l10n.themeDark,
+      'high-contrast': l10n.themeHighContrast
+    });
+    themeSelect.onchange = () => {
+      this.set('theme', themeSelect.value);
+    };
+
+    const theme = this.createRow(l10n.theme, themeSelect.id);
+    theme.row.appendChild(themeSelect);
+
+    // Font
+    const dyslexiaFontCheckbox = document.createElement('input');
+    dyslexiaFontCheckbox.setAttribute('type', 'checkbox');
+    dyslexiaFontCheckbox.classList.add('h5p-interactive-book-preferences-checkbox');
+    dyslexiaFontCheckbox.id = `${id}-dyslexia-font`;
+    dyslexiaFontCheckbox.onchange = () => {
+      this.set('dyslexiaFont', dyslexiaFontCheckbox.checked);
+    };
+
+    const dyslexiaFont = this.createRow(l10n.dyslexiaFont, dyslexiaFontCheckbox.id);
+    dyslexiaFont.row.insertBefore(dyslexiaFontCheckbox, dyslexiaFont.label);
+
+    const resetButton = document.createElement('button');
+    resetButton.classList.add('h5p-interactive-book-preferences-reset');
+    resetButton.innerHTML = l10n.resetPreferences;
+    resetButton.onclick = () => {
+      this.preferences = Preferences.validate();
+      this.apply();
+    };
+
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('h5p-interactive-book-preferences-close');
+    closeButton.setAttribute('title', l10n.close);
+    closeButton.setAttribute('aria-label', l10n.close);
+    closeButton.onclick = () => {
+      this.close();
+    };
+
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-preferences');
+    container.classList.add('h5p-content-hidden');
+    container.id = id;
+    container.setAttribute('role', 'region');
+    container.setAttribute('aria-labelledby', title.id);
+    container.appendChild(closeButton);
+    container.appendChild(title);
+    container.appendChild(textSize.row);
+    container.appendChild(lineSpacing.row);
+    container.appendChild(theme.row);
+    container.appendChild(dyslexiaFont.row);
+    container.appendChild(resetButton);
+
+    return {
+      container,
+      closeButton,
+      decreaseButton,
+      increaseButton,
+      textSizeValue,
+      lineSpacingSelect,
+      themeSelect,
+      dyslexiaFontCheckbox
+    };
+  }
+
+  /**
+   * Create a row of the panel.
+   *
+   * @param {string} text Label text.
+   * @param {string} [controlId] Id of the control that is labelled.
+   * @return {object} Row and label elements.
+   */
+  createRow(text, controlId) {
+    const label = document.createElement(controlId ? 'label' : 'span');
+    label.classList.add('h5p-interactive-book-preferences-label');
+    label.innerHTML = text;
+    if (controlId) {
+      label.setAttribute('for', controlId);
+    }
+
+    const row = document.createElement('div');
+    row.classList.add('h5p-interactive-book-preferences-row');
+    row.appendChild(label);
+
+    return {row, label};
+  }
+
+  /**
+   * Create a select element.
+   *
+   * @param {string} id Id of the element.
+   * @param {string[]} values Values.
+   * @param {object} labels Labels of the values.
+   * @return {HTMLElement} Select element.
+   */
+  createSelect(id, values, labels) {
+    const select = document.createElement('select');
+    select.classList.add('h5p-interactive-book-preferences-select');
+    select.id = id;
+
+    values.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.innerHTML = labels[value];
+      select.appendChild(option);
+    });
+
+    return select;
+  }
+
+  /**
+   * Check whether the panel is open.
+   *
+   * @return {boolean} True, if the panel is open.
+   */
+  isOpen() {
+    return !this.panel.container.classList.contains('h5p-content-hidden');
+  }
+
+  /**
+   * Show or hide the panel.
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    }
+    else {
+      this.open();
+    }
+  }
+
+  /**
+   * Show the panel.
+   */
+  open() {
+    this.previousFocus = document.activeElement;
+    this.panel.container.classList.remove('h5p-content-hidden');
+    this.trigger('toggled', {open: true});
+    this.panel.closeButton.focus();
+  }
+
+  /**
+   * Hide the panel and return focus to where it was.
+   */
+  close() {
+    if (!this.isOpen()) {
+      return;
+    }
+
+    this.panel.container.classList.add('h5p-content-hidden');
+    this.trigger('toggled', {open: false});
+    if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  /**
+   * Get the preferences.
+   *
+   * @return {object} Preferences.
+   */
+  getPreferences() {
+    return Object.assign({}, this.preferences);
+  }
+
+  /**
+   * Change a preference.
+   *
+   * @param {string} name Name of the preference.
+   * @param {string|number|boolean} value Value.
+   */
+  set(name, value) {
+    const preferences = Object.assign({}, this.preferences);
+    preferences[name] = value;
+    this.preferences = Preferences.validate(preferences);
+    this.apply();
+  }
+
+  /**
+   * Go to a smaller or larger text size.
+   *
+   * @param {number} steps Number of steps, negative for smaller text.
+   */
+  changeTextSize(steps) {
+    const index = TEXT_SIZES.indexOf(this.preferences.textSize) + steps;
+    this.set('textSize', TEXT_SIZES[Math.max(0, Math.min(index, TEXT_SIZES.length - 1))]);
+  }
+
+  /**
+   * Apply the preferences to the book and update the panel.
+   */
+  apply() {
+    const preferences = this.preferences;
+    const panel = this.panel;
+
+    panel.textSizeValue.innerHTML = `${Math.round(preferences.textSize * 100)}%`;
+    panel.decreaseButton.disabled = (preferences.textSize === TEXT_SIZES[0]);
+    panel.increaseButton.disabled = (preferences.textSize === TEXT_SIZES[TEXT_SIZES.length - 1]);
+    panel.lineSpacingSelect.value = preferences.lineSpacing;
+    panel.themeSelect.value = preferences.theme;
+    panel.dyslexiaFontCheckbox.checked = preferences.dyslexiaFont;
+
+    if (!this.wrapper) {
+      return;
+    }
+
+    this.wrapper.style.fontSize = (preferences.textSize === DEFAULTS.textSize) ? '' : `${preferences.textSize}em`;
+
+    LINE_SPACINGS.forEach(lineSpacing => {
+      this.wrapper.classList.remove(`h5p-interactive-book-line-spacing-${lineSpacing}`);
+    });
+    this.wrapper.classList.add(`h5p-interactive-book-line-spacing-${preferences.lineSpacing}`);
+
+    THEMES.forEach(theme => {
+      this.wrapper.classList.remove(`h5p-interactive-book-theme-${theme}`);
+    });
+    this.wrapper.classList.add(`h5p-interactive-book-theme-${preferences.theme}`);
+
+    if (preferences.dyslexiaFont) {
+      this.wrapper.classList.add('h5p-interactive-book-dyslexia-font');
+    }
+    else {
+      this.wrapper.classList.remove('h5p-interactive-book-dyslexia-font');
+    }
+
+    // Column heights depend on the size of the text
+    this.parent.trigger('resize');
+  }
+}
+
+export default Preferences;
@@ -0,0 +1,328 @@
+/**
+ * View of the whole book on one page that can be printed
+ *
+ * All chapters that may be opened are attached and laid out one after the
+ * other, preceded by the cover and a table of contents. Chapters that are
+ * still locked are left out. Tasks are replaced by a placeholder on paper.
+ *
+ * Constructor function.
+ */
+class PrintView extends H5P.EventDispatcher {
+  constructor(parent, params) {
+    super();
+
+    this.parent = parent;
+    this.params = params || {};
+
+    this.params.l10n = Object.assign({
+      print: 'Print',
+      close: 'Close',
+      tableOfContents: 'Table of contents',
+      printPlaceholder: 'This interactive task is not part of the printed version. Open the book online to complete it.'
+    }, this.params.l10n || {});
+
+    // Elements added to the content while the view is open
+    this.addedElements = [];
+    this.taskSections = [];
+    this.lockedChapters = [];
+  }
+
+  /**
+   * Open the view automatically when the browser prints the book.
+   *
+   * @param {HTMLElement} wrapper Wrapper of the book.
+   */
+  attach(wrapper) {
+    this.wrapper = wrapper;
+
+    window.addEventListener('beforeprint', () => {
+      if (!this.isOpen() && this.wrapper.offsetParent !== null && !this.wrapper.classList.contains('covered')) {
+        this.open(true);
+        this.openedForPrinting = true;
+      }
+    });
+
+    window.addEventListener('afterprint', () => {
+      if (this.openedForPrinting) {
+        this.openedForPrinting = false;
+        this.close();
+      }
+    });
+
+    wrapper.addEventListener('keydown', (event) => {
+      if (this.isOpen() && (event.key === 'Escape' || event.key === 'Esc')) {
+        this.close();
+        event.preventDefault();
+      }
+    });
+  }
+
+  /**
+   * Check whether the view is open.
+   *
+   * @return {boolean} True, if the view is open.
+   */
+  isOpen() {
+    return this.wrapper !== undefined && this.wrapper.classList.contains('h5p-interactive-book-print-view');
+  }
+
+  /**
+   * Show the whole book.
+   *
+   * @param {boolean} [keepFocus] If true, focus will not be moved to the view.
+   */
+  open(keepFocus) {
+    if (!this.wrapper || this.isOpen()) {
+      return;
+    }
+
+    const pageContent = this.parent.pageContent;
+    const lastChapter = pageContent.getLastUnlockedChapter();
+
+    const content = pageContent.content;
+    const header = this.createHeader();
+    content.insertBefore(header, content.firstChild);
+    this.addedElements.push(header);
+
+    pageContent.chapters.forEach((chapter, index) => {
+      if (index > lastChapter) {
+        // Neighbours of the current chapter may be attached although locked
+        pageContent.columnNodes[index].classList.add('h5p-interactive-book-print-locked');
+        this.lockedChapters.push(pageContent.columnNodes[index]);
+        return;
+      }
+
+      pageContent.initializeChapter(index);
+
+      const title = this.createChapterTitle(chapter);
+      content.insertBefore(title, pageContent.columnNodes[index]);
+      this.addedElements.push(title);
+
+      this.addPlaceholders(chapter, pageContent.columnNodes[index]);
+    });
+
+    this.previousFocus = document.activeElement;
+    this.wrapper.classList.add('h5p-interactive-book-print-view');
+    content.style.height = '';
+
+    if (!keepFocus) {
+      this.printButton.focus();
+    }
+
+    this.parent.trigger('resize');
+  }
+
+  /**
+   * Return to the current chapter.
+   */
+  close() {
+    if (!this.isOpen()) {
+      return;
+    }
+
+    this.addedElements.forEach(element => {
+      if (element.parentNode) {
+        element.parentNode.removeChild(element);
+      }
+    });
+    this.addedElements = [];
+
+    this.taskSections.forEach(section => {
+      section.classList.remove('h5p-interactive-book-print-task');
+    });
+    this.taskSections = [];
+
+    this.lockedChapters.forEach(columnNode => {
+      columnNode.classList.remove('h5p-interactive-book-print-locked');
+    });
+    this.lockedChapters = [];
+
+    this.wrapper.classList.remove('h5p-interactive-book-print-view');
+
+    // Chapters far from the current one don't need to stay attached
+    this.parent.pageContent.unloadDistantChapters(this.parent.getActiveChapter());
+
+    if (this.previousFocus && this.wrapper.contains(this.previousFocus)) {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+
+    this.parent.trigger('resize');
+  }
+
+  /**
+   * Resize all chapters, they are all visible.
+   */
+  resize() {
+    const pageContent = this.parent.pageContent;
+    pageContent.content.style.height = '';
+
+    if (!this.parent.bubblingUpwards) {
+      pageContent.chapters.forEach(chapter => {
+        if (chapter.instance) {
+          chapter.instance.trigger('resize');
+        }
+      });
+    }
+  }
+
+  /**
+   * Create the buttons, the cover and the table of contents.
+   *
+   * @return {HTMLElement} Header.
+   */
+  createHeader() {
+    const header = document.createElement('div');
+    header.classList.add('h5p-interactive-book-print-header');
+    header.appendChild(this.createToolbar());
+    header.appendChild(this.createCover());
+    header.appendChild(this.createTableOfContents());
+
+    return header;
+  }
+
+  /**
+   * Create the buttons for printing and closing the view.
+   *
+   * @return {HTMLElement} Toolbar.
+   */
+  createToolbar() {
+    this.printButton = document.createElement('button');
+    this.printButton.classList.add('h5p-interactive-book-print-button');
+    this.printButton.innerHTML = this.params.l10n.print;
+    this.printButton.onclick = () => {
+      window.print();
+    };
+
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('h5p-interactive-book-print-close');
+    closeButton.innerHTML = this.params.l10n.close;
+    closeButton.onclick = () => {
+      this.close();
+    };
+
+    const toolbar = document.createElement('div');
+    toolbar.classList.add('h5p-interactive-book-print-toolbar');
+    toolbar.appendChild(this.printButton);
+    toolbar.appendChild(closeButton);
+
+    return toolbar;
+  }
+
+  /**
+   * Create the cover with title, image and description.
+   *
+   * @return {HTMLElement} Cover.
+   */
+  createCover() {
+    const cover = document.createElement('div');
+    cover.classList.add('h5p-interactive-book-print-cover');
+
+    const coverParams = this.params.cover || {};
+    if (coverParams.coverImage) {
+      const img = document.createElement('img');
+      img.classList.add('h5p-interactive-book-print-cover-image');
+      img.src = H5P.getPath(coverParams.coverImage.path, this.parent.contentId);
+      img.alt = coverParams.coverAltText || '';
+      cover.appendChild(img);
+    }
+
+    const title = document.createElement('h1');
+    title.classList.add('h5p-interactive-book-print-title');
+    title.innerHTML = this.params.title || '';
+    cover.appendChild(title);
+
+    if (coverParams.coverDescription) {
+      const description = document.createElement('div');
+      description.classList.add('h5p-interactive-book-print-description');
+      description.innerHTML = coverParams.coverDescription;
+      cover.appendChild(description);
+    }
+
+    return cover;
+  }
+
+  /**
+   * Create the table of contents with chapter numbers.
+   *
+   * @return {HTMLElement} Table of contents.
+   */
+  createTableOfContents() {
+    const title = document.createElement('h2');
+    title.classList.add('h5p-interactive-book-print-toc-title');
+    title.innerHTML = this.params.l10n.tableOfContents;
+
+    const lastChapter = this.parent.pageContent.getLastUnlockedChapter();
+
+    const list = document.createElement('ul');
+    list.classList.add('h5p-interactive-book-print-toc-list');
+    this.parent.pageContent.chapters.slice(0, lastChapter + 1).forEach(chapter => {
+      const number = document.createElement('span');
+      number.classList.add('h5p-interactive-book-print-toc-number');
+      number.innerHTML = chapter.number;
+
+      const item = document.createElement('li');
+      item.classList.add('h5p-interactive-book-print-toc-item');
+      item.classList.add(`h5p-interactive-book-print-toc-level-${chapter.level}`);
+      item.appendChild(number);
+      item.appendChild(document.createTextNode(' '));
+      item.insertAdjacentHTML('beforeend', chapter.title);
+      list.appendChild(item);
+    });
+
+    const toc = document.createElement('div');
+    toc.classList.add('h5p-interactive-book-print-toc');
+    toc.appendChild(title);
+    toc.appendChild(list);
+
+    return toc;
+  }
+
+  /**
+   * Create the numbered title of a chapter.
+   *
+   * @param {object} chapter Chapter.
+   * @return {HTMLElement} Title.
+   */
+  createChapterTitle(chapter) {
+    // Top level chapters are h2, sub-chapters go one level deeper each
+    const title = document.createElement(`h${Math.min(chapter.level + 1, 6)}`);
+    title.classList.add('h5p-interactive-book-print-chapter-title');
+    title.classList.add(`h5p-interactive-book-print-chapter-level-${chapter.level}`);
+    title.innerHTML = `${chapter.number} ${chapter.title}`;
+
+    return title;
+  }
+
+  /**
+   * Add placeholders for the tasks of a chapter, they are shown on paper only.
+   *
+   * @param {object} chapter Chapter.
+   * @param {HTMLElement} columnNode Column element.
+   */
+  addPlaceholders(chapter, columnNode) {
+    chapter.sections.forEach(section => {
+      if (!section.isTask) {
+        return;
+      }
+
+      const sectionNode = columnNode.querySelector(`#h5p-interactive-book-section-${section.subContentId}`);
+      if (!sectionNode) {
+        return;
+      }
+
+      const placeholder = document.createElement('div');
+      placeholder.classList.add('h5p-interactive-book-print-placeholder');
+      placeholder.innerHTML = this.params.l10n.printPlaceholder;
+
+      sectionNode.classList.add('h5p-interactive-book-print-task');
+      // Outside of the section, its text offsets are used by highlights and reading aloud
+      sectionNode.parentNode.insertBefore(placeholder, sectionNode.nextSibling);
+
+      this.addedElements.push(placeholder);
+      this.taskSections.push(sectionNode);
+    });
+  }
+}
+
+export default PrintView;
@@ -0,0 +1,454 @@
+/** Speech rates that can be chosen */
+const RATES = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+/** Sentences end with punctuation, incl. Arabic and CJK, or with the text */
+const SENTENCE_PATTERN = /[^.!?؟。！？]+(?:[.!?؟。！？]+["'”’)]*|$)/g;
+
+/** Elements that break the text, a sentence never runs across them */
+const BLOCK_ELEMENTS = [
+  'ADDRESS', 'BLOCKQUOTE', 'DD', 'DIV', 'DT', 'FIGCAPTION', 'H1', 'H2', 'H3',
+  'H4', 'H5', 'H6', 'LI', 'P', 'PRE', 'TD', 'TH'
+];
+
+/**
+ * Reads the text sections of the active chapter aloud
+ *
+ * Sentences are spoken one by one with the browser's speech synthesis, which
+ * allows to highlight the sentence being read and to pause reliably.
+ *
+ * Constructor function.
+ */
+class ReadAloud extends H5P.EventDispatcher {
+  constructor(parent, params) {
+    super();
+
+    this.parent = parent;
+    this.params = params || {};
+
+    this.params.l10n = Object.assign({
+      listen: 'Listen',
+      play: 'Play',
+      pause: 'Pause',
+      skipSection: 'Skip to next section',
+      stopListening: 'Stop listening',
+      speechRate: 'Speed'
+    }, this.params.l10n || {});
+
+    this.rate = 1;
+    this.sentences = [];
+    this.position = 0;
+    this.marks = [];
+    this.isPlaying = false;
+
+    this.controls = this.createControls();
+  }
+
+  /**
+   * Check whether the browser can read aloud.
+   *
+   * @return {boolean} True, if speech synthesis is supported.
+   */
+  static isSupported() {
+    return window.speechSynthesis !== undefined && window.SpeechSynthesisUtterance !== undefined;
+  }
+
+  /**
+   * Create the player controls.
+   *
+   * @return {object} Control elements.
+   */
+  createControls() {
+    const playButton = document.createElement('button');
+    playButton.classList.add('h5p-interactive-book-read-aloud-play');
+    playButton.onclick = () => {
+      if (this.isPlaying) {
+        this.pause();
+      }
+      else {
+        this.play();
+      }
+    };
+
+    const skipButton = document.createElement('button');
+    skipButton.classList.add('h5p-interactive-book-read-aloud-skip');
+    skipButton.setAttribute('title', this.params.l10n.skipSection);
+    skipButton.setAttribute('aria-label', this.params.l10n.skipSection);
+    skipButton.onclick = () => {
+      this.skipSection();
+    };
+
+    const rateSelect = document.createElement('select');
+    rateSelect.classList.add('h5p-interactive-book-read-aloud-rate-select');
+    rateSelect.id = `h5p-interactive-book-read-aloud-rate-${this.parent.contentId}`;
+    RATES.forEach(rate => {
+      const option = document.createElement('option');
+      option.value = rate;
+      option.innerHTML = `${rate}×`;
+      option.selected = (rate === this.rate);
+      rateSelect.appendChild(option);
+    });
+    rateSelect.onchange = () => {
+      this.setRate(parseFloat(rateSelect.value));
+    };
+
+    const rateLabel = document.createElement('label');
+    rateLabel.classList.add('h5p-interactive-book-read-aloud-rate');
+    rateLabel.setAttribute('for', rateSelect.id);
+    rateLabel.innerHTML = this.params.l10n.speechRate;
+
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('h5p-interactive-book-read-aloud-close');
+    closeButton.setAttribute('title', this.params.l10n.stopListening);
+    closeButton.setAttribute('aria-label', this.params.l10n.stopListening);
+    closeButton.onclick = () => {
+      this.close();
+    };
+
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-read-aloud');
+    container.classList.add('h5p-content-hidden');
+    container.setAttribute('role', 'group');
+    container.setAttribute('aria-label', this.params.l10n.listen);
+    container.appendChild(playButton);
+    container.appendChild(skipButton);
+    container.appendChild(rateLabel);
+    container.appendChild(rateSelect);
+    container.appendChild(closeButton);
+
+    return {
+      container,
+      playButton
+    };
+  }
+
+  /**
+   * Check whether the controls are shown.
+   *
+   * @return {boolean} True, if the controls are shown.
+   */
+  isOpen() {
+    return !this.controls.container.classList.contains('h5p-content-hidden');
+  }
+
+  /**
+   * Show or hide the controls.
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    }
+    else {
+      this.open();
+    }
+  }
+
+  /**
+   * Show the controls and start reading the active chapter.
+   */
+  open() {
+    this.controls.container.classList.remove('h5p-content-hidden');
+    this.play();
+    this.controls.playButton.focus();
+  }
+
+  /**
+   * Stop reading and hide the controls.
+   */
+  close() {
+    this.stop();
+    this.controls.container.classList.add('h5p-content-hidden');
+  }
+
+  /**
+   * Start or resume reading.
+   */
+  play() {
+    if (!this.sentences.length) {
+      this.sentences = this.getSentences(this.parent.getActiveChapter());
+      this.position = 0;
+    }
+
+    this.isPlaying = this.sentences.length > 0;
+    this.updatePlayButton();
+    if (this.isPlaying) {
+      this.speak();
+    }
+  }
+
+  /**
+   * Pause reading, it is resumed at the beginning of the current sentence.
+   */
+  pause() {
+    this.isPlaying = false;
+    this.cancelSpeech();
+    this.updatePlayButton();
+  }
+
+  /**
+   * Stop reading, it starts over with the active chapter.
+   */
+  stop() {
+    this.pause();
+    this.unmark();
+    this.sentences = [];
+    this.position = 0;
+  }
+
+  /**
+   * Continue with the next text section of the chapter.
+   */
+  skipSection() {
+    const current = this.sentences[this.position];
+    if (!current) {
+      return;
+    }
+
+    let next = this.position;
+    while (next < this.sentences.length && this.sentences[next].root === current.root) {
+      next++;
+    }
+
+    if (next === this.sentences.length) {
+      this.stop();
+      return;
+    }
+
+    this.position = next;
+    if (this.isPlaying) {
+      this.cancelSpeech();
+      this.speak();
+    }
+    else {
+      this.mark(this.sentences[next]);
+    }
+  }
+
+  /**
+   * Set the speech rate, the current sentence is read again at the new rate.
+   *
+   * @param {number} rate Rate, 1 is normal speed.
+   */
+  setRate(rate) {
+    this.rate = rate;
+    if (this.isPlaying) {
+      this.cancelSpeech();
+      this.speak();
+    }
+  }
+
+  /**
+   * Speak the current sentence and continue with the next one.
+   */
+  speak() {
+    const sentence = this.sentences[this.position];
+    if (!sentence) {
+      // Done with the chapter
+      this.stop();
+      return;
+    }
+
+    this.mark(sentence);
+
+    const utterance = new window.SpeechSynthesisUtterance(sentence.text);
+    utterance.rate = this.rate;
+    if (this.params.language) {
+      utterance.lang = this.params.language;
+    }
+    utterance.onend = () => {
+      // Cancelled utterances end as well
+      if (this.utterance !== utterance) {
+        return;
+      }
+
+      this.position++;
+      this.speak();
+    };
+
+    this.utterance = utterance;
+    window.speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Stop speaking without continuing with the next sentence.
+   */
+  cancelSpeech() {
+    if (this.utterance) {
+      this.utterance = null;
+      window.speechSynthesis.cancel();
+    }
+  }
+
+  /**
+   * Update the label of the play button.
+   */
+  updatePlayButton() {
+    const label = this.isPlaying ? this.params.l10n.pause : this.params.l10n.play;
+    const button = this.controls.playButton;
+
+    if (this.isPlaying) {
+      button.classList.add('h5p-interactive-book-read-aloud-playing');
+    }
+    else {
+      button.classList.remove('h5p-interactive-book-read-aloud-playing');
+    }
+    button.setAttribute('title', label);
+    button.setAttribute('aria-label', label);
+  }
+
+  /**
+   * Get the sentences of the text sections of a chapter.
+   *
+   * @param {number} chapterId Chapter Id.
+   * @return {object[]} Sentences with section element, text and offsets within the section's text.
+   */
+  getSentences(chapterId) {
+    const chapter = this.parent.chapters[chapterId];
+    const columnNode = this.parent.pageContent.columnNodes[chapterId];
+    if (!chapter || !columnNode) {
+      return [];
+    }
+
+    return chapter.sections
+      .filter(section => section.library.split(' ')[0] === 'H5P.AdvancedText')
+      .map(section => columnNode.querySelector(`#h5p-interactive-book-section-${section.subContentId}`))
+      .filter(root => root !== null)
+      .reduce((sentences, root) => sentences.concat(ReadAloud.splitSentences(root)), []);
+  }
+
+  /**
+   * Split the text of an element into sentences.
+   *
+   * @param {HTMLElement} root Element.
+   * @return {object[]} Sentences with element, text and offsets within the element's text.
+   */
+  static splitSentences(root) {
+    const sentences = [];
+
+    // Text of the same block, e.g. a paragraph, with its offset
+    let block = {node: null, text: '', start: 0};
+    const addBlock = () => {
+      let match;
+      SENTENCE_PATTERN.lastIndex = 0;
+      while ((match = SENTENCE_PATTERN.exec(block.text)) !== null) {
+        if (!match[0].length) {
+          // Don't get stuck at the end of the text
+          SENTENCE_PATTERN.lastIndex++;
+          continue;
+        }
+
+        const text = match[0].trim();
+        if (text) {
+          const leading = match[0].length - match[0].replace(/^\s+/, '').length;
+          const start = block.start + match.index + leading;
+          sentences.push({root, text, start, end: start + text.length});
+        }
+      }
+    };
+
+    let offset = 0;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, null, false);
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const blockNode = ReadAloud.getBlock(node, root);
+      if (blockNode !== block.node) {
+        addBlock();
+        block = {node: blockNode, text: '', start: offset};
+      }
+
+      block.text += node.nodeValue;
+      offset += node.length;
+    }
+    addBlock();
+
+    return sentences;
+  }
+
+  /**
+   * Get the block element a node is in.
+   *
+   * @param {Node} node Node.
+   * @param {HTMLElement} root Element to look within.
+   * @return {HTMLElement} Block element or root.
+   */
+  static getBlock(node, root) {
+    while (node.parentNode && node !== root) {
+      node = node.parentNode;
+      if (BLOCK_ELEMENTS.indexOf(node.nodeName) !== -1) {
+        return node;
+      }
+    }
+
+    return root;
+  }
+
+  /**
+   * Highlight a sentence and keep it in view.
+   *
+   * @param {object} sentence Sentence.
+   */
+  mark(sentence) {
+    this.unmark();
+
+    // Collect text nodes first, wrapping them changes the tree
+    const textNodes = [];
+    const walker = document.createTreeWalker(sentence.root, NodeFilter.SHOW_TEXT, null, false);
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+
+    let offset = 0;
+    textNodes.forEach(node => {
+      const nodeStart = offset;
+      const nodeEnd = offset + node.length;
+      offset = nodeEnd;
+
+      if (nodeEnd <= sentence.start || nodeStart >= sentence.end) {
+        return;
+      }
+
+      let target = node;
+      if (sentence.start > nodeStart) {
+        target = target.splitText(sentence.start - nodeStart);
+      }
+      if (sentence.end < nodeEnd) {
+        target.splitText(sentence.end - Math.max(nodeStart, sentence.start));
+      }
+
+      const mark = document.createElement('span');
+      mark.classList.add('h5p-interactive-book-read-aloud-sentence');
+      target.parentNode.insertBefore(mark, target);
+      mark.appendChild(target);
+      this.marks.push(mark);
+    });
+
+    if (this.marks.length) {
+      const rect = this.marks[0].getBoundingClientRect();
+      const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+      if (rect.top < 0 || rect.bottom > viewportHeight) {
+        // Aligning to the bottom keeps the sentence clear of the sticky status bar
+        this.marks[0].scrollIntoView(false);
+      }
+    }
+  }
+
+  /**
+   * Remove the highlight of the current sentence.
+   */
+  unmark() {
+    this.marks.forEach(mark => {
+      const parent = mark.parentNode;
+      if (!parent) {
+        return;
+      }
+
+      while (mark.firstChild) {
+        parent.insertBefore(mark.firstChild, mark);
+      }
+      parent.removeChild(mark);
+      parent.normalize();
+    });
+    this.marks = [];
+  }
+}
+
+export default ReadAloud;
@@ -0,0 +1,161 @@
+/** Context of messages exchanged with the parent window in postMessage mode */
+const MESSAGE_CONTEXT = 'h5p-interactive-book';
+
+/**
+ * Reads and writes the fragments that hold the position in the book.
+ *
+ * Modes:
+ * - top: Hash of the top window, requires same origin.
+ * - self: Hash of the window the book is running in.
+ * - memory: Not kept in any URL.
+ * - postMessage: Kept in memory and sent to the parent window, which may answer
+ *   with { context: 'h5p-interactive-book', action: 'hashChanged', contentId, hash }.
+ *
+ * Constructor function.
+ */
+class Router extends H5P.EventDispatcher {
+  constructor(mode, contentId) {
+    super();
+
+    this.contentId = contentId;
+    this.mode = Router.resolveMode(mode);
+
+    // Hash used by memory and postMessage mode, postMessage may start from own URL
+    this.hash = (this.mode === 'postMessage') ? window.location.hash : '';
+
+    this.addListeners();
+
+    if (this.mode === 'postMessage') {
+      this.postMessage('requestHash');
+    }
+  }
+
+  /**
+   * Determine mode to use.
+   *
+   * @param {string} [mode='auto'] Requested mode.
+   * @return {string} Mode that can be used.
+   */
+  static resolveMode(mode = 'auto') {
+    if (mode === 'self' || mode === 'memory') {
+      return mode;
+    }
+
+    if (mode === 'postMessage') {
+      return (window.parent !== window) ? mode : 'self';
+    }
+
+    // Top window hash is default, but only possible if we may access it
+    return Router.canAccessTop() ? 'top' : 'self';
+  }
+
+  /**
+   * Check whether the top window's location can be accessed.
+   *
+   * @return {boolean} True, if top window's location can be accessed.
+   */
+  static canAccessTop() {
+    try {
+      return typeof top.location.hash === 'string';
+    }
+    catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the window whose location holds the hash.
+   *
+   * @return {Window|null} Window or null if hash is not kept in a URL.
+   */
+  getWindow() {
+    switch (this.mode) {
+      case 'top':
+        return top;
+      case 'self':
+        return window;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get current hash.
+   *
+   * @return {string} Hash including leading '#' or empty string.
+   */
+  getHash() {
+    const targetWindow = this.getWindow();
+    return targetWindow ? targetWindow.location.hash : this.hash;
+  }
+
+  /**
+   * Set hash.
+   *
+   * @param {string} hash Hash including leading '#'.
+   */
+  setHash(hash) {
+    const targetWindow = this.getWindow();
+    if (targetWindow) {
+      targetWindow.location.hash = hash; // Browser will fire hashchange
+      return;
+    }
+
+    if (this.hash === hash) {
+      return;
+    }
+
+    this.hash = hash;
+    if (this.mode === 'postMessage') {
+      this.postMessage('setHash', hash);
+    }
+    this.trigger('hashchange');
+  }
+
+  /**
+   * Send message to parent window.
+   *
+   * @param {string} action Action.
+   * @param {string} [hash] Hash.
+   */
+  postMessage(action, hash) {
+    window.parent.postMessage({
+      context: MESSAGE_CONTEXT,
+      action: action,
+      contentId: this.contentId,
+      hash: hash
+    }, '*');
+  }
+
+  /**
+   * Listen for changes that are not made by the book itself.
+   */
+  addListeners() {
+    const targetWindow = this.getWindow();
+    if (targetWindow) {
+      targetWindow.addEventListener('hashchange', () => {
+        this.trigger('hashchange');
+      });
+    }
+    else if (this.mode === 'postMessage') {
+      window.addEventListener('message', (event) => {
+        const data = event.data;
+        if (event.source !== window.parent || !data || data.context !== MESSAGE_CONTEXT ||
+          data.action !== 'hashChanged' || typeof data.hash !== 'string') {
+          return;
+        }
+
+        if (data.contentId !== undefined && parseInt(data.contentId) !== parseInt(this.contentId)) {
+          return;
+        }
+
+        if (data.hash !== this.hash) {
+          this.hash = data.hash;
+          this.trigger('hashchange');
+        }
+      });
+    }
+  }
+}
+
+export default Router;
@@ -0,0 +1,337 @@
+import Outline from './outline';
+
+/** Maximum number of hits that are displayed */
+const MAX_RESULTS = 20;
+
+/** Number of characters shown on each side of a hit in the snippet */
+const SNIPPET_RADIUS = 40;
+
+/** Weight of a hit in a title compared to a hit in the text */
+const TITLE_WEIGHT = 5;
+
+/**
+ * A full-text search across all chapters
+ * Constructor function.
+ */
+class Search extends H5P.EventDispatcher {
+  constructor(chapters, columnsData, parent, params) {
+    super();
+
+    this.parent = parent;
+    this.params = params || {};
+
+    this.params.l10n = Object.assign({
+      search: 'Search',
+      searchResults: '@count results found',
+      noResults: 'No results found'
+    }, this.params.l10n || {});
+
+    this.index = this.buildIndex(chapters, columnsData);
+
+    this.container = this.createContainer();
+  }
+
+  /**
+   * Build search index from chapter parameters.
+   *
+   * @param {object[]} chapters Chapters data from the side bar.
+   * @param {object[]} columnsData Columns data.
+   * @return {object[]} Index entries.
+   */
+  buildIndex(chapters, columnsData) {
+    const index = [];
+
+    chapters.forEach((chapter, chapterId) => {
+      index.push({
+        chapterId: chapterId,
+        chapterTitle: chapter.title,
+        title: chapter.title,
+        text: ''
+      });
+
+      const sectionsParams = columnsData[chapterId].params.content;
+      chapter.sections.forEach((section, sectionId) => {
+        const entry = {
+          chapterId: chapterId,
+          chapterTitle: chapter.title,
+          section: section.id,
+          title: section.title || '',
+          text: ''
+        };
+        index.push(entry);
+
+        const sectionParams = sectionsParams[sectionId].content;
+        if (sectionParams.library.split(' ')[0] !== 'H5P.AdvancedText') {
+          // Only the titles of outline entries are known for other content
+          this.parent.outline.getEntries(sectionParams).forEach((outlineEntry, headerNumber) => {
+            index.push({
+              chapterId: chapterId,
+              chapterTitle: chapter.title,
+              section: section.id,
+              headerNumber: headerNumber,
+              title: outlineEntry.title,
+              text: ''
+            });
+          });
+          return;
+        }
+
+        if (!sectionParams.params.text) {
+          return;
+        }
+
+        // Text before the first header belongs to the section itself, the rest to its header
+        const text = Outline.parseHTML(sectionParams.params.text);
+        let current = entry;
+        let headerNumber = 0;
+        const addNode = node => {
+          if (node.nodeType === Node.TEXT_NODE) {
+            current.text += ` ${node.textContent}`;
+          }
+          else if (this.parent.outline.isHeading(node)) {
+            current = {
+              chapterId: chapterId,
+              chapterTitle: chapter.title,
+              section: section.id,
+              headerNumber: headerNumber,
+              title: node.textContent,
+              text: ''
+            };
+            index.push(current);
+            headerNumber++;
+          }
+          else {
+            for (let i = 0; i < node.childNodes.length; i++) {
+              addNode(node.childNodes[i]);
+            }
+          }
+        };
+        addNode(text);
+      });
+    });
+
+    index.forEach(entry => {
+      entry.text = entry.text.replace(/\s+/g, ' ').trim();
+      entry.searchableTitle = entry.title.toLowerCase();
+      entry.searchableText = entry.text.toLowerCase();
+    });
+
+    return index;
+  }
+
+  /**
+   * Create the search field and the result list.
+   *
+   * @return {HTMLElement} Search container.
+   */
+  createContainer() {
+    this.input = document.createElement('input');
+    this.input.setAttribute('type', 'search');
+    this.input.classList.add('h5p-interactive-book-search-input');
+    this.input.setAttribute('placeholder', this.params.l10n.search);
+    this.input.setAttribute('aria-label', this.params.l10n.search);
+    this.input.addEventListener('input', () => {
+      this.showResults(this.input.value);
+    });
+
+    this.status = document.createElement('p');
+    this.status.classList.add('h5p-interactive-book-search-status');
+    this.status.setAttribute('aria-live', 'polite');
+
+    this.resultList = document.createElement('ul');
+    this.resultList.classList.add('h5p-interactive-book-search-results');
+
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-search');
+    container.appendChild(this.input);
+    container.appendChild(this.status);
+    container.appendChild(this.resultList);
+
+    return container;
+  }
+
+  /**
+   * Find index entries matching all terms of a query.
+   *
+   * @param {string} query Query.
+   * @return {object[]} Hits ordered by relevance.
+   */
+  find(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(term => term.length > 0);
+    if (!terms.length) {
+      return [];
+    }
+
+    const phrase = terms.join(' ');
+
+    return this.index
+      .map(entry => {
+        let score = 0;
+        for (let i = 0; i < terms.length; i++) {
+          const inTitle = this.countOccurrences(entry.searchableTitle, terms[i]);
+          const inText = this.countOccurrences(entry.searchableText, terms[i]);
+          if (inTitle + inText === 0) {
+            return null; // All terms are required
+          }
+          score += inTitle * TITLE_WEIGHT + inText;
+        }
+
+        if (terms.length > 1 && (entry.searchableTitle + ' ' + entry.searchableText).indexOf(phrase) !== -1) {
+          score *= 2;
+        }
+
+        return {
+          entry: entry,
+          score: score,
+          terms: terms
+        };
+      })
+      .filter(hit => hit !== null)
+      .sort((a, b) => b.score - a.score || a.entry.chapterId - b.entry.chapterId)
+      .slice(0, MAX_RESULTS);
+  }
+
+  /**
+   * Count occurrences of a term in a text.
+   *
+   * @param {string} text Text.
+   * @param {string} term Term.
+   * @return {number} Number of occurrences.
+   */
+  countOccurrences(text, term) {
+    let count = 0;
+    let position = text.indexOf(term);
+    while (position !== -1) {
+      count++;
+      position = text.indexOf(term, position + term.length);
+    }
+
+    return count;
+  }
+
+  /**
+   * Create snippet of a text around the first hit with all hits marked.
+   *
+   * @param {string} text Text.
+   * @param {string[]} terms Terms to mark.
+   * @return {string} HTML snippet.
+   */
+  createSnippet(text, terms) {
+    const lowerText = text.toLowerCase();
+    const positions = terms.map(term => lowerText.indexOf(term)).filter(position => position !== -1);
+    const first = positions.length ? Math.min.apply(null, positions) : 0;
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+
+    // Splitting with a capturing group puts the hits at odd positions
+    const pattern = new RegExp(`(${terms.map(Search.escapeRegExp).join('|')})`, 'gi');
+    const snippet = text.substring(start, end).split(pattern)
+      .map((part, index) => (index % 2) ? `<mark>${Search.escapeHTML(part)}</mark>` : Search.escapeHTML(part))
+      .join('');
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+  }
+
+  /**
+   * Display hits for a query.
+   *
+   * @param {string} query Query.
+   */
+  showResults(query) {
+    this.resultList.innerHTML = '';
+
+    if (query.trim().length < 2) {
+      this.status.innerHTML = '';
+      this.parent.trigger('resize');
+      return;
+    }
+
+    const hits = this.find(query);
+    this.status.innerHTML = hits.length ?
+      this.params.l10n.searchResults.replace('@count', hits.length) :
+      this.params.l10n.noResults;
+
+    hits.forEach(hit => {
+      this.resultList.appendChild(this.createResultNode(hit));
+    });
+
+    this.parent.trigger('resize');
+  }
+
+  /**
+   * Create a result item that navigates to the hit.
+   *
+   * @param {object} hit Hit.
+   * @return {HTMLElement} Result item.
+   */
+  createResultNode(hit) {
+    const entry = hit.entry;
+
+    const title = document.createElement('div');
+    title.classList.add('h5p-interactive-book-search-result-title');
+    title.innerHTML = entry.title === entry.chapterTitle ?
+      Search.escapeHTML(entry.title) :
+      `${Search.escapeHTML(entry.chapterTitle)} › ${Search.escapeHTML(entry.title)}`;
+
+    const button = document.createElement('button');
+    button.classList.add('h5p-interactive-book-search-result-button');
+    button.appendChild(title);
+
+    if (entry.text) {
+      const snippet = document.createElement('div');
+      snippet.classList.add('h5p-interactive-book-search-result-snippet');
+      snippet.innerHTML = this.createSnippet(entry.text, hit.terms);
+      button.appendChild(snippet);
+    }
+
+    button.onclick = () => {
+      const newChapter = {
+        h5pbookid: this.parent.contentId,
+        chapter: `h5p-interactive-book-chapter-${this.parent.chapters[entry.chapterId].id}`,
+        section: entry.section || 'top'
+      };
+      if (entry.headerNumber !== undefined) {
+        newChapter.headerNumber = entry.headerNumber;
+      }
+
+      this.parent.trigger('newChapter', newChapter);
+
+      if (this.parent.sideBar.isOpenOnMobile()) {
+        this.parent.trigger('toggleMenu');
+      }
+    };
+
+    const item = document.createElement('li');
+    item.classList.add('h5p-interactive-book-search-result');
+    item.appendChild(button);
+
+    return item;
+  }
+
+  /**
+   * Escape text for use in HTML.
+   *
+   * @param {string} text Text.
+   * @return {string} Escaped text.
+   */
+  static escapeHTML(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Escape text for use in a regular expression.
+   *
+   * @param {string} text Text.
+   * @return {string} Escaped text.
+   */
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+}
+
+export default Search;
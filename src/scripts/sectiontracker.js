@@ -0,0 +1,110 @@
+/**
+ * Keeps track of the section of the current chapter that is in view
+ * Constructor function.
+ */
+class SectionTracker {
+  constructor(parent, callback) {
+    this.parent = parent;
+    this.callback = callback || (() => {});
+
+    this.sectionNodes = [];
+    this.visible = [];
+    this.sectionId = null;
+
+    this.handleScroll = () => {
+      this.update();
+    };
+  }
+
+  /**
+   * Track the sections of a chapter.
+   *
+   * @param {number} chapterId Chapter Id.
+   */
+  track(chapterId) {
+    this.stop();
+
+    const chapter = this.parent.chapters[chapterId];
+    const columnNode = this.parent.pageContent.columnNodes[chapterId];
+    if (!chapter || !columnNode) {
+      return;
+    }
+
+    this.chapterId = chapterId;
+    this.sectionNodes = chapter.sections.map(section =>
+      columnNode.querySelector(`#h5p-interactive-book-section-${section.subContentId}`)
+    );
+    this.visible = this.sectionNodes.map(() => false);
+
+    if (window.IntersectionObserver) {
+      // Also works when the book is embedded and the host page is scrolled
+      this.observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+          this.visible[this.sectionNodes.indexOf(entry.target)] = entry.isIntersecting;
+        });
+        this.update();
+      });
+
+      this.sectionNodes.forEach(node => {
+        if (node) {
+          this.observer.observe(node);
+        }
+      });
+    }
+    else {
+      // Capture scrolling of the page and of the content in fullscreen mode
+      window.addEventListener('scroll', this.handleScroll, true);
+      this.update();
+    }
+  }
+
+  /**
+   * Get the section in view.
+   *
+   * @return {number|null} Index of section in the tracked chapter or null if not known yet.
+   */
+  getSectionInView() {
+    return this.sectionId;
+  }
+
+  /**
+   * Stop tracking.
+   */
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    window.removeEventListener('scroll', this.handleScroll, true);
+
+    this.sectionNodes = [];
+    this.visible = [];
+    this.sectionId = null;
+  }
+
+  /**
+   * Determine the first section in view and report changes.
+   */
+  update() {
+    if (!window.IntersectionObserver) {
+      const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+      this.visible = this.sectionNodes.map(node => {
+        if (!node) {
+          return false;
+        }
+        const rect = node.getBoundingClientRect();
+        return rect.bottom > 0 && rect.top < viewportHeight;
+      });
+    }
+
+    const sectionId = this.visible.indexOf(true);
+    if (sectionId === -1 || sectionId === this.sectionId) {
+      return;
+    }
+
+    this.sectionId = sectionId;
+    this.callback(this.chapterId, sectionId);
+  }
+}
+
+export default SectionTracker;
@@ -1,3 +1,5 @@
+import Search from './search';
+
 /**
  * A component which helps in navigation
  * Constructor function.
@@ -9,6 +11,13 @@ class SideBar extends H5P.EventDispatcher {
     this.id = contentId;
     this.parent = parent;
     this.behaviour = config.behaviour;
+    this.l10n = {
+      lockedChapter: config.lockedChapter || 'Complete the previous chapters to unlock this chapter.',
+      contents: config.contents || 'Contents',
+      bookmarks: config.bookmarks || 'Bookmarks',
+      notes: config.notes || 'Notes',
+      glossary: config.glossaryTitle || 'Glossary'
+    };
     this.content = document.createElement('div');
     this.content.classList.add('navigation-list');
     this.container = this.addSideBar();
@@ -16,16 +25,35 @@ class SideBar extends H5P.EventDispatcher {
     this.chapters = this.findAllChapters(config.chapters);
     this.chapterNodes = this.getChapterNodes();
 
+    this.search = new Search(this.chapters, config.chapters, parent, {
+      l10n: {
+        search: config.search,
+        searchResults: config.searchResults,
+        noResults: config.noResults
+      }
+    });
+
     if (mainTitle) {
       this.titleElem = this.addMainTitle(mainTitle);
       this.container.appendChild(this.titleElem);
     }
 
-    this.chapterNodes.forEach(element => {
-      this.content.appendChild(element);
+    this.container.appendChild(this.search.container);
+
+    // Sub-chapters are listed within their parent chapter
+    this.chapterNodes.forEach((element, index) => {
+      const parentId = this.parent.chapters[index].parent;
+      const list = (parentId === null) ? this.content : this.getSubChapterList(parentId);
+      list.appendChild(element);
     });
 
-    this.container.appendChild(this.content);
+    const panels = this.createPanels();
+    if (panels.length > 1) {
+      this.container.appendChild(this.createTabs(panels));
+    }
+    panels.forEach(panel => {
+      this.container.appendChild(panel.node);
+    });
 
     this.addTransformListener();
     this.initializeNavigationControls();
@@ -53,7 +81,7 @@ class SideBar extends H5P.EventDispatcher {
         }
       });
 
-      const sections = chapter.querySelectorAll('.h5p-interactive-book-navigation-section');
+      const sections = this.getSectionNodes(i);
       for (let sectionIndex = 0; sectionIndex < sections.length; sectionIndex++) {
         const section = sections[sectionIndex];
         const sectionButton = section.querySelector('.section-button');
@@ -75,20 +103,23 @@ class SideBar extends H5P.EventDispatcher {
   }
 
   setFocusToChapterItem(index, direction = 0) {
-    let nextIndex = index + direction;
-    if (nextIndex < 0) {
-      nextIndex = this.chapterNodes.length - 1;
-    }
-    else if (nextIndex > this.chapterNodes.length - 1) {
-      nextIndex = 0;
-    }
+    let nextIndex = index;
+    do {
+      nextIndex += direction;
+      if (nextIndex < 0) {
+        nextIndex = this.chapterNodes.length - 1;
+      }
+      else if (nextIndex > this.chapterNodes.length - 1) {
+        nextIndex = 0;
+      }
+    } while (direction && nextIndex !== index && !this.isChapterNodeVisible(nextIndex));
 
     // Check if we should navigate to a section
     if (direction) {
       const chapterIndex = direction > 0 ? index : nextIndex;
       const chapter = this.chapterNodes[chapterIndex];
       if (!chapter.classList.contains('h5p-interactive-book-navigation-closed')) {
-        const sections = chapter.querySelectorAll('.h5p-interactive-book-navigation-section');
+        const sections = this.getSectionNodes(chapterIndex);
         if (sections.length) {
           const sectionItemIndex = direction > 0 ? 0 : sections.length - 1;
           this.setFocusToSectionItem(chapterIndex, sectionItemIndex);
@@ -103,8 +134,7 @@ class SideBar extends H5P.EventDispatcher {
   }
 
   setFocusToSectionItem(chapterIndex, index, direction = 0) {
-    const chapter = this.chapterNodes[chapterIndex];
-    const sections = chapter.querySelectorAll('.h5p-interactive-book-navigation-section');
+    const sections = this.getSectionNodes(chapterIndex);
 
     // Navigate chapter if outside of section bounds
     const nextIndex = index + direction;
@@ -136,7 +166,7 @@ class SideBar extends H5P.EventDispatcher {
       }
       chapterButton.setAttribute('tabindex', '-1');
 
-      const sections = chapter.querySelectorAll('.h5p-interactive-book-navigation-section');
+      const sections = this.getSectionNodes(index);
       for (let i = 0; i < sections.length; i++) {
         const section = sections[i];
         const sectionButton = section.querySelector('.section-button');
@@ -152,6 +182,55 @@ class SideBar extends H5P.EventDispatcher {
     }
   }
 
+  /**
+   * Get the section items of a chapter, without those of its sub-chapters.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {NodeList} Section items.
+   */
+  getSectionNodes(chapterIndex) {
+    return this.chapterNodes[chapterIndex]
+      .querySelector('.h5p-interactive-book-navigation-sectionlist')
+      .querySelectorAll('.h5p-interactive-book-navigation-section');
+  }
+
+  /**
+   * Get the list that holds the sub-chapters of a chapter, create it if needed.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {HTMLElement} Sub-chapter list.
+   */
+  getSubChapterList(chapterIndex) {
+    const chapterNode = this.chapterNodes[chapterIndex];
+    let list = chapterNode.querySelector('.h5p-interactive-book-navigation-subchapters');
+    if (!list) {
+      list = document.createElement('ul');
+      list.classList.add('h5p-interactive-book-navigation-subchapters');
+      list.setAttribute('role', 'group');
+      chapterNode.appendChild(list);
+    }
+
+    return list;
+  }
+
+  /**
+   * Check whether a chapter is shown in the menu, i.e. no parent chapter is collapsed.
+   *
+   * @param {number} chapterIndex Chapter index.
+   * @return {boolean} True, if chapter is shown.
+   */
+  isChapterNodeVisible(chapterIndex) {
+    let parentId = this.parent.chapters[chapterIndex].parent;
+    while (parentId !== null) {
+      if (this.chapterNodes[parentId].classList.contains('h5p-interactive-book-navigation-closed')) {
+        return false;
+      }
+      parentId = this.parent.chapters[parentId].parent;
+    }
+
+    return true;
+  }
+
   /**
    * Get sidebar DOM.
    *
@@ -165,6 +244,106 @@ class SideBar extends H5P.EventDispatcher {
     return container;
   }
 
+  /**
+   * Create the panels of the menu, the table of contents and the learner's bookmarks and notes.
+   *
+   * @return {object[]} Panels with node and label.
+   */
+  createPanels() {
+    const panels = [{node: this.content, label: this.l10n.contents}];
+
+    const addPanel = (container, label) => {
+      const node = document.createElement('div');
+      node.classList.add('navigation-list');
+      node.appendChild(container);
+      panels.push({node, label});
+    };
+
+    if (this.parent.bookmarks) {
+      addPanel(this.parent.bookmarks.container, this.l10n.bookmarks);
+    }
+    if (this.parent.highlights) {
+      addPanel(this.parent.highlights.container, this.l10n.notes);
+    }
+    if (this.parent.glossary && this.parent.glossary.hasTerms()) {
+      addPanel(this.parent.glossary.container, this.l10n.glossary);
+    }
+
+    return panels;
+  }
+
+  /**
+   * Create tabs for switching between the panels of the menu.
+   *
+   * @param {object[]} panels Panels with node and label.
+   * @return {HTMLElement} Tab list.
+   */
+  createTabs(panels) {
+    const tabList = document.createElement('div');
+    tabList.classList.add('h5p-interactive-book-navigation-tabs');
+    tabList.setAttribute('role', 'tablist');
+
+    this.tabs = panels.map((panel, index) => {
+      const tabId = `h5p-interactive-book-navigation-tab-${this.id}-${index}`;
+      const panelId = `h5p-interactive-book-navigation-tabpanel-${this.id}-${index}`;
+
+      panel.node.id = panelId;
+      panel.node.setAttribute('role', 'tabpanel');
+      panel.node.setAttribute('aria-labelledby', tabId);
+
+      const tab = document.createElement('button');
+      tab.classList.add('h5p-interactive-book-navigation-tab');
+      tab.id = tabId;
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-controls', panelId);
+      tab.innerHTML = panel.label;
+      tab.onclick = () => {
+        this.selectTab(index);
+      };
+      tab.addEventListener('keydown', (event) => {
+        // Left and right arrow keys move between the tabs, mirrored in right-to-left languages
+        if (event.keyCode === 37 || event.keyCode === 39) {
+          const forward = (event.keyCode === 39) !== this.parent.isRTL();
+          const next = (index + (forward ? 1 : -1) + panels.length) % panels.length;
+          this.selectTab(next);
+          this.tabs[next].focus();
+          event.preventDefault();
+        }
+      });
+
+      tabList.appendChild(tab);
+      return tab;
+    });
+
+    this.tabPanels = panels.map(panel => panel.node);
+    this.selectTab(0);
+
+    return tabList;
+  }
+
+  /**
+   * Show the panel of a tab.
+   *
+   * @param {number} index Index of tab.
+   */
+  selectTab(index) {
+    this.tabs.forEach((tab, tabIndex) => {
+      const selected = tabIndex === index;
+      tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+      tab.setAttribute('tabindex', selected ? '0' : '-1');
+      if (selected) {
+        tab.classList.add('h5p-interactive-book-navigation-tab-selected');
+        this.tabPanels[tabIndex].classList.remove('h5p-content-hidden');
+      }
+      else {
+        tab.classList.remove('h5p-interactive-book-navigation-tab-selected');
+        this.tabPanels[tabIndex].classList.add('h5p-content-hidden');
+      }
+    });
+
+    this.parent.trigger('resize');
+  }
+
   /**
    * Get main title.
    *
@@ -196,22 +375,8 @@ class SideBar extends H5P.EventDispatcher {
     for (let j = 0; j < sections.length; j++) {
       const content = sections[j].content;
 
-      let title = '';
-      switch (content.library.split(' ')[0]) {
-        case 'H5P.Link':
-          if (content.params.title) {
-            title = content.params.title;
-          }
-          else {
-            title = 'New link';
-          }
-          break;
-        default:
-          title = content.metadata.title;
-      }
-
       sectionsData.push({
-        title: title,
+        title: this.parent.outline.getTitle(content),
         id: content.subContentId ? `h5p-interactive-book-section-${content.subContentId}` : undefined
       });
     }
@@ -273,13 +438,18 @@ class SideBar extends H5P.EventDispatcher {
 
   /**
    * Fires whenever a redirect is happening in parent
-   * All chapters will be collapsed except for the active
+   * All chapters will be collapsed except for the active one and its parents
    *
    * @param {number} chapterId The chapter that should stay open in the menu.
    */
   redirectHandler(chapterId) {
+    const openChapters = [];
+    for (let id = chapterId; id !== null; id = this.parent.chapters[id].parent) {
+      openChapters.push(id);
+    }
+
     this.chapterNodes.forEach((node, index) => {
-      this.toggleChapter(node, index !== chapterId);
+      this.toggleChapter(node, openChapters.indexOf(index) === -1);
     });
 
     // Focus new chapter button if active chapter was closed
@@ -295,7 +465,7 @@ class SideBar extends H5P.EventDispatcher {
   resetIndicators() {
     this.chapterNodes.forEach((node, index) => {
       // Reset chapter
-      this.updateChapterProgressIndicator(index, 'BLANK');
+      this.updateChapterProgressIndicator(index);
 
       // Reset sections
       const sections = node.getElementsByClassName('h5p-interactive-book-navigation-section');
@@ -321,16 +491,28 @@ class SideBar extends H5P.EventDispatcher {
   }
 
   /**
-   * Update the indicator on a specific chapter.
+   * Update the indicator on a specific chapter and its parent chapters.
    *
    * @param {number} chapterId The chapter that should be updated.
-   * @param {string} status Status.
    */
-  updateChapterProgressIndicator(chapterId, status) {
+  updateChapterProgressIndicator(chapterId) {
     if (!this.behaviour.progressIndicators) {
       return;
     }
 
+    // Parent chapters reflect the progress of their sub-chapters
+    for (let id = chapterId; id !== null; id = this.parent.chapters[id].parent) {
+      this.setProgressIndicator(id, this.parent.getChapterStatus(id));
+    }
+  }
+
+  /**
+   * Set the progress indicator of a chapter.
+   *
+   * @param {number} chapterId Chapter Id.
+   * @param {string} status Status.
+   */
+  setProgressIndicator(chapterId, status) {
     const progressIndicator = this.chapterNodes[chapterId]
       .getElementsByClassName('h5p-interactive-book-navigation-chapter-progress')[0];
 
@@ -351,6 +533,32 @@ class SideBar extends H5P.EventDispatcher {
     }
   }
 
+  /**
+   * Mark chapters that cannot be opened yet as locked.
+   */
+  updateLockedChapters() {
+    if (!this.behaviour.linearProgression || !this.behaviour.progressIndicators) {
+      return;
+    }
+
+    this.chapterNodes.forEach((chapterNode, chapterId) => {
+      const locked = this.parent.isChapterLocked(chapterId);
+      const chapterButton = chapterNode.querySelector('.h5p-interactive-book-navigation-chapter-button');
+      const lockText = chapterNode.querySelector('.h5p-interactive-book-navigation-chapter-lock-text');
+
+      chapterButton.setAttribute('aria-disabled', locked ? 'true' : 'false');
+      lockText.innerHTML = locked ? this.l10n.lockedChapter : '';
+      if (locked) {
+        chapterNode.classList.add('h5p-interactive-book-navigation-locked');
+        chapterButton.setAttribute('title', this.l10n.lockedChapter);
+      }
+      else {
+        chapterNode.classList.remove('h5p-interactive-book-navigation-locked');
+        chapterButton.removeAttribute('title');
+      }
+    });
+  }
+
   /**
    * Set section marker.
    *
@@ -359,6 +567,7 @@ class SideBar extends H5P.EventDispatcher {
    */
   setSectionMarker(chapterId, sectionId) {
     const icon = this.chapterNodes[chapterId]
+      .querySelector('.h5p-interactive-book-navigation-sectionlist')
       .querySelector('.h5p-interactive-book-navigation-section-' + sectionId + ' .h5p-interactive-book-navigation-section-icon');
 
     if (icon) {
@@ -390,6 +599,13 @@ class SideBar extends H5P.EventDispatcher {
       chapterCompletionIcon.classList.add('h5p-interactive-book-navigation-chapter-progress');
     }
 
+    const chapterLockIcon = document.createElement('div');
+    chapterLockIcon.classList.add('h5p-interactive-book-navigation-chapter-lock');
+    chapterLockIcon.setAttribute('aria-hidden', 'true');
+
+    const chapterLockText = document.createElement('span');
+    chapterLockText.classList.add('h5p-interactive-book-navigation-chapter-lock-text');
+
     const chapterNodeTitle = document.createElement('button');
     chapterNodeTitle.setAttribute('tabindex', chapterId === 0 ? '0' : '-1');
     chapterNodeTitle.classList.add('h5p-interactive-book-navigation-chapter-button');
@@ -408,6 +624,10 @@ class SideBar extends H5P.EventDispatcher {
       const isExpandable = !accordion.classList.contains('hidden');
       const isExpanded = event.currentTarget.getAttribute('aria-expanded') === 'true';
 
+      if (this.parent.isChapterLocked(chapterId)) {
+        return;
+      }
+
       if (this.isOpenOnMobile()) {
         this.parent.trigger('toggleMenu');
       }
@@ -430,10 +650,14 @@ class SideBar extends H5P.EventDispatcher {
     };
     chapterNodeTitle.appendChild(chapterCollapseIcon);
     chapterNodeTitle.appendChild(chapterTitleText);
+    chapterNodeTitle.appendChild(chapterLockText);
+    chapterNodeTitle.appendChild(chapterLockIcon);
     chapterNodeTitle.appendChild(chapterCompletionIcon);
 
     const chapterNode = document.createElement('li');
     chapterNode.classList.add('h5p-interactive-book-navigation-chapter');
+    chapterNode.classList.add(`h5p-interactive-book-navigation-level-${this.parent.chapters[chapterId].level}`);
+    chapterNode.setAttribute('aria-level', this.parent.chapters[chapterId].level);
     chapterNode.appendChild(chapterNodeTitle);
 
     // Collapse all but current chapters in menu and highlight current
@@ -449,42 +673,14 @@ class SideBar extends H5P.EventDispatcher {
     const sectionsDivId = 'h5p-interactive-book-sectionlist-' + chapterId;
     sectionsWrapper.id = sectionsDivId;
 
-    const sectionLinks = [];
-    // Add sections to the chapter
-    for (let i = 0; i < this.chapters[chapterId].sections.length; i++) {
-      // Non-tasks will only get section links if they have headers
-      if (!this.parent.chapters[chapterId].sections[i].isTask) {
-
-        // Check text content for headers
-        const chapterParams = this.parent.params.chapters[chapterId];
-        const sectionParams = chapterParams.params.content[i].content;
-        const isText = sectionParams.library.split(' ')[0] === 'H5P.AdvancedText';
-
-        if (isText) {
-          const text = document.createElement('div');
-          text.innerHTML = sectionParams.params.text;
-          const headers = text.querySelectorAll('h2, h3');
-          for (let j = 0; j < headers.length; j++) {
-            const header = headers[j];
-            const sectionNode = this.createSectionLink(chapterId, i, header.textContent, j);
-            sectionLinks.push(sectionNode);
-            sectionsWrapper.appendChild(sectionNode);
-          }
-        }
-      }
-      else {
-        const sectionNode = this.createSectionLink(chapterId, i);
-        sectionLinks.push(sectionNode);
-        sectionsWrapper.appendChild(sectionNode);
-      }
-    }
+    const sectionLinks = this.addSectionLinks(sectionsWrapper, chapterId);
 
     if (chapter.tasksLeft) {
       chapter.maxTasks = chapter.tasksLeft;
     }
 
-    // Don't show collapse arrow if there are no sections or on mobile
-    if (sectionLinks.length === 0) {
+    // Don't show collapse arrow if there are neither sections nor sub-chapters
+    if (sectionLinks.length === 0 && this.parent.chapters[chapterId].children.length === 0) {
       const arrowIconElement = chapterNode.querySelector('.h5p-interactive-book-navigation-chapter-accordion');
       if (arrowIconElement) {
         arrowIconElement.classList.add('hidden');
@@ -496,6 +692,65 @@ class SideBar extends H5P.EventDispatcher {
     return chapterNode;
   }
 
+  /**
+   * Add the section links of a chapter to a list.
+   *
+   * @param {HTMLElement} sectionsWrapper List of sections.
+   * @param {number} chapterId Chapter Id.
+   * @return {HTMLElement[]} Section nodes.
+   */
+  addSectionLinks(sectionsWrapper, chapterId) {
+    const sectionLinks = [];
+    for (let i = 0; i < this.chapters[chapterId].sections.length; i++) {
+      // Tasks always get a section link, other sections only if they have outline entries
+      if (this.parent.chapters[chapterId].sections[i].isTask) {
+        const sectionNode = this.createSectionLink(chapterId, i);
+        sectionLinks.push(sectionNode);
+        sectionsWrapper.appendChild(sectionNode);
+      }
+
+      // Outline entries, e.g. headers of texts
+      const sectionParams = this.parent.params.chapters[chapterId].params.content[i].content;
+      this.parent.outline.getEntries(sectionParams).forEach((entry, j) => {
+        const sectionNode = this.createSectionLink(chapterId, i, entry.title, j);
+        sectionLinks.push(sectionNode);
+        sectionsWrapper.appendChild(sectionNode);
+      });
+    }
+
+    return sectionLinks;
+  }
+
+  /**
+   * Rebuild the section links of a chapter, e.g. when it turned out which
+   * sections are tasks once the chapter was loaded.
+   *
+   * @param {number} chapterId Chapter Id.
+   */
+  updateChapterSections(chapterId) {
+    const chapterNode = this.chapterNodes[chapterId];
+    const sectionsWrapper = chapterNode.querySelector('.h5p-interactive-book-navigation-sectionlist');
+    while (sectionsWrapper.firstChild) {
+      sectionsWrapper.removeChild(sectionsWrapper.firstChild);
+    }
+
+    const sectionLinks = this.addSectionLinks(sectionsWrapper, chapterId);
+    const arrowIconElement = chapterNode.querySelector('.h5p-interactive-book-navigation-chapter-accordion');
+    if (sectionLinks.length === 0 && this.parent.chapters[chapterId].children.length === 0) {
+      arrowIconElement.classList.add('hidden');
+    }
+    else {
+      arrowIconElement.classList.remove('hidden');
+    }
+
+    this.parent.chapters[chapterId].sections.forEach((section, sectionId) => {
+      if (section.taskDone) {
+        this.setSectionMarker(chapterId, sectionId);
+      }
+    });
+    this.updateChapterProgressIndicator(chapterId);
+  }
+
   /**
    * Create a section link
    * @param chapterId
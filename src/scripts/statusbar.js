@@ -13,6 +13,12 @@ class StatusBar extends H5P.EventDispatcher {
       nextPage: 'Next page',
       previousPage: 'Previous page',
       navigateToTop: 'Navigate to the top',
+      summaryHeader: 'Summary',
+      showKeyboardShortcuts: 'Show keyboard shortcuts',
+      showPrintView: 'Show the whole book for printing',
+      jumpToChapter: 'Jump to chapter',
+      listen: 'Listen',
+      preferences: 'Reading preferences'
     }, this.params.l10n || {});
 
     this.params.a11y = Object.assign({
@@ -34,6 +40,19 @@ class StatusBar extends H5P.EventDispatcher {
     wrapperInfo.classList.add('h5p-interactive-book-status');
     wrapperInfo.appendChild(this.createMenuToggleButton());
     wrapperInfo.appendChild(this.createToTopButton());
+    if (this.params.behaviour.keyboardShortcuts) {
+      wrapperInfo.appendChild(this.createKeyboardShortcutsButton());
+    }
+    if (this.params.behaviour.printView) {
+      wrapperInfo.appendChild(this.createPrintViewButton());
+    }
+    if (this.parent.readAloud) {
+      wrapperInfo.appendChild(this.createReadAloudButton());
+    }
+    if (this.params.showPreferences) {
+      this.preferencesButton = this.createPreferencesButton();
+      wrapperInfo.appendChild(this.preferencesButton);
+    }
     wrapperInfo.appendChild(this.chapterTitle.wrapper);
     wrapperInfo.appendChild(this.progressIndicator.wrapper);
     wrapperInfo.appendChild(this.arrows.buttonWrapperPrevious);
@@ -50,6 +69,7 @@ class StatusBar extends H5P.EventDispatcher {
     /**
      * Sequential traversal of chapters
      * Event should be either 'next' or 'prev'
+     * Chapters are entered where reading was left off
      */
     this.on('seqChapter', (event) => {
       const eventInput = {
@@ -59,14 +79,30 @@ class StatusBar extends H5P.EventDispatcher {
         eventInput.section = 'top';
       }
 
+      // Steps are relative to the chapter of navigation that is still queued
+      const chapterId = this.parent.getNavigationTarget();
+
       if (event.data.direction === 'next') {
-        if (this.parent.activeChapter + 1 < this.parent.chapters.length) {
-          eventInput.chapter = `h5p-interactive-book-chapter-${this.parent.chapters[this.parent.activeChapter+1].instance.subContentId}`;
+        if (chapterId + 1 < this.parent.chapters.length) {
+          eventInput.chapter = `h5p-interactive-book-chapter-${this.parent.chapters[chapterId + 1].id}`;
+          if (!event.data.toTop && this.parent.getReadingPosition(chapterId + 1)) {
+            eventInput.section = this.parent.getReadingPosition(chapterId + 1);
+          }
+        }
+        else if (this.parent.summary) {
+          this.parent.showSummary();
         }
       }
       else if (event.data.direction === 'prev') {
-        if (this.parent.activeChapter > 0) {
-          eventInput.chapter = `h5p-interactive-book-chapter-${this.parent.chapters[this.parent.activeChapter-1].instance.subContentId}`;
+        if (this.parent.isSummaryVisible()) {
+          // The final chapter is still the active one behind the summary
+          this.parent.hideSummary();
+        }
+        else if (chapterId > 0) {
+          eventInput.chapter = `h5p-interactive-book-chapter-${this.parent.chapters[chapterId - 1].id}`;
+          if (!event.data.toTop && this.parent.getReadingPosition(chapterId - 1)) {
+            eventInput.section = this.parent.getReadingPosition(chapterId - 1);
+          }
         }
       }
       if (eventInput.chapter) {
@@ -106,25 +142,39 @@ class StatusBar extends H5P.EventDispatcher {
   updateStatusBar() {
     const currentChapter = this.parent.getActiveChapter() + 1;
 
-    const chapterTitle = this.parent.chapters[currentChapter - 1].title;
+    const summaryVisible = this.parent.isSummaryVisible();
+    const chapterTitle = summaryVisible ?
+      this.params.l10n.summaryHeader :
+      this.parent.getChapterTitle(currentChapter - 1);
 
-    this.progressIndicator.current.innerHTML = currentChapter;
+    this.progressIndicator.current.value = currentChapter;
 
     this.updateA11yProgress(currentChapter);
     this.updateProgressBar(currentChapter);
 
-    this.chapterTitle.text.innerHTML = chapterTitle;
-
+    this.chapterTitle.chapter.innerHTML = chapterTitle;
     this.chapterTitle.text.setAttribute('title', chapterTitle);
 
+    // The summary has no chapter to return to or sections
+    if (summaryVisible) {
+      this.chapterTitle.chapter.setAttribute('disabled', 'disabled');
+    }
+    else {
+      this.chapterTitle.chapter.removeAttribute('disabled');
+    }
+    this.updateSectionTitle(summaryVisible ? null : this.sectionInView);
+
     //assure that the buttons are valid in terms of chapter edges
-    if (this.parent.activeChapter <= 0) {
+    if (this.parent.activeChapter <= 0 && !summaryVisible) {
       this.setButtonStatus('Previous', true);
     }
     else {
       this.setButtonStatus('Previous', false);
     }
-    if ((this.parent.activeChapter + 1) >= this.totalChapters) {
+    const hasNextChapter = (this.parent.activeChapter + 1) < this.totalChapters;
+    const hasNextPage = (hasNextChapter && !this.parent.isChapterLocked(this.parent.activeChapter + 1)) ||
+      (!hasNextChapter && this.parent.summary && !summaryVisible);
+    if (!hasNextPage) {
       this.setButtonStatus('Next', true);
     }
     else {
@@ -223,23 +273,97 @@ class StatusBar extends H5P.EventDispatcher {
   }
 
   /**
-   * Add a paragraph which indicates which chapter is active.
+   * Add a breadcrumb which indicates which chapter is active and which section is in view.
    *
    * @return {object} Chapter title elements.
    */
   addChapterTitle() {
+    const chapter = document.createElement('button');
+    chapter.classList.add('h5p-interactive-book-status-breadcrumb-chapter');
+    chapter.onclick = () => {
+      this.parent.trigger('newChapter', {
+        h5pbookid: this.parent.contentId,
+        chapter: `h5p-interactive-book-chapter-${this.parent.chapters[this.parent.getActiveChapter()].id}`,
+        section: 'top'
+      });
+    };
+
     const text = document.createElement('h1');
     text.classList.add('title');
+    text.appendChild(chapter);
+
+    const separator = document.createElement('span');
+    separator.classList.add('h5p-interactive-book-status-breadcrumb-separator');
+    separator.setAttribute('aria-hidden', 'true');
+
+    const section = document.createElement('button');
+    section.classList.add('h5p-interactive-book-status-breadcrumb-section');
+    section.onclick = () => {
+      const chapterId = this.parent.getActiveChapter();
+      const sectionId = this.sectionInView;
+      if (sectionId === null || sectionId === undefined) {
+        return;
+      }
+
+      this.parent.trigger('newChapter', {
+        h5pbookid: this.parent.contentId,
+        chapter: `h5p-interactive-book-chapter-${this.parent.chapters[chapterId].id}`,
+        section: `h5p-interactive-book-section-${this.parent.chapters[chapterId].sections[sectionId].subContentId}`
+      });
+    };
 
     const wrapper = document.createElement('div');
     wrapper.classList.add('h5p-interactive-book-status-chapter');
     wrapper.appendChild(text);
+    wrapper.appendChild(separator);
+    wrapper.appendChild(section);
+
+    this.updateSectionTitle(null, {text, chapter, separator, section});
+
     return {
       wrapper,
-      text
+      text,
+      chapter,
+      separator,
+      section
     };
   }
 
+  /**
+   * Update the breadcrumb with the section in view.
+   *
+   * @param {number|null} sectionId Index of section in the active chapter.
+   * @param {object} [elements] Chapter title elements.
+   */
+  updateSectionTitle(sectionId, elements = this.chapterTitle) {
+    let title = '';
+    if (sectionId !== null && sectionId !== undefined) {
+      const sectionParams = this.parent.params.chapters[this.parent.getActiveChapter()].params.content[sectionId];
+      title = sectionParams ? this.parent.outline.getTitle(sectionParams.content) : '';
+    }
+
+    elements.section.innerHTML = title;
+    elements.section.setAttribute('title', title);
+    if (title) {
+      elements.separator.classList.remove('h5p-content-hidden');
+      elements.section.classList.remove('h5p-content-hidden');
+    }
+    else {
+      elements.separator.classList.add('h5p-content-hidden');
+      elements.section.classList.add('h5p-content-hidden');
+    }
+  }
+
+  /**
+   * Set the section of the active chapter that is in view.
+   *
+   * @param {number|null} sectionId Index of section in the active chapter.
+   */
+  setSectionInView(sectionId) {
+    this.sectionInView = sectionId;
+    this.updateSectionTitle(this.parent.isSummaryVisible() ? null : sectionId);
+  }
+
   /**
    * Add a button which scrolls to the top of the page.
    *
@@ -264,6 +388,124 @@ class StatusBar extends H5P.EventDispatcher {
     return wrapper;
   }
 
+  /**
+   * Add a button which shows the keyboard shortcuts.
+   *
+   * @return {HTMLElement} Button.
+   */
+  createKeyboardShortcutsButton() {
+    const button = document.createElement('div');
+    button.classList.add('icon-keyboard');
+    button.classList.add('navigation-button');
+
+    const wrapper = document.createElement('button');
+    wrapper.classList.add('h5p-interactive-book-status-shortcuts');
+    wrapper.classList.add('h5p-interactive-book-status-button');
+    wrapper.classList.add('h5p-interactive-book-status-arrow');
+    wrapper.setAttribute('title', this.params.l10n.showKeyboardShortcuts);
+    wrapper.setAttribute('aria-haspopup', 'dialog');
+    wrapper.onclick = () => {
+      this.parent.trigger('showKeyboardShortcuts');
+    };
+
+    wrapper.appendChild(button);
+
+    return wrapper;
+  }
+
+  /**
+   * Add a button which shows the whole book for printing.
+   *
+   * @return {HTMLElement} Button.
+   */
+  createPrintViewButton() {
+    const button = document.createElement('div');
+    button.classList.add('icon-print');
+    button.classList.add('navigation-button');
+
+    const wrapper = document.createElement('button');
+    wrapper.classList.add('h5p-interactive-book-status-print');
+    wrapper.classList.add('h5p-interactive-book-status-button');
+    wrapper.classList.add('h5p-interactive-book-status-arrow');
+    wrapper.setAttribute('title', this.params.l10n.showPrintView);
+    wrapper.onclick = () => {
+      this.parent.trigger('showPrintView');
+    };
+
+    wrapper.appendChild(button);
+
+    return wrapper;
+  }
+
+  /**
+   * Add a button which reads the chapter aloud.
+   *
+   * @return {HTMLElement} Button.
+   */
+  createReadAloudButton() {
+    const button = document.createElement('div');
+    button.classList.add('icon-listen');
+    button.classList.add('navigation-button');
+
+    const wrapper = document.createElement('button');
+    wrapper.classList.add('h5p-interactive-book-status-listen');
+    wrapper.classList.add('h5p-interactive-book-status-button');
+    wrapper.classList.add('h5p-interactive-book-status-arrow');
+    wrapper.setAttribute('title', this.params.l10n.listen);
+    wrapper.onclick = () => {
+      this.parent.trigger('toggleReadAloud');
+    };
+
+    wrapper.appendChild(button);
+
+    return wrapper;
+  }
+
+  /**
+   * Add a button which opens the reading preferences.
+   *
+   * @return {HTMLElement} Button.
+   */
+  createPreferencesButton() {
+    const button = document.createElement('div');
+    button.classList.add('icon-preferences');
+    button.classList.add('navigation-button');
+
+    const wrapper = document.createElement('button');
+    wrapper.classList.add('h5p-interactive-book-status-preferences');
+    wrapper.classList.add('h5p-interactive-book-status-button');
+    wrapper.classList.add('h5p-interactive-book-status-arrow');
+    wrapper.setAttribute('title', this.params.l10n.preferences);
+    wrapper.setAttribute('aria-controls', `h5p-interactive-book-preferences-${this.parent.contentId}`);
+    wrapper.setAttribute('aria-expanded', 'false');
+    wrapper.onclick = () => {
+      this.parent.trigger('togglePreferences');
+    };
+
+    wrapper.appendChild(button);
+
+    return wrapper;
+  }
+
+  /**
+   * Mark the preferences button as expanded or collapsed.
+   *
+   * @param {boolean} expanded True, if the preferences panel is open.
+   */
+  setPreferencesExpanded(expanded) {
+    if (!this.preferencesButton) {
+      return;
+    }
+
+    this.preferencesButton.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    if (expanded) {
+      this.preferencesButton.classList.add('h5p-interactive-book-status-preferences-active');
+    }
+    else {
+      this.preferencesButton.classList.remove('h5p-interactive-book-status-preferences-active');
+    }
+  }
+
   /**
    * Set the visibility.
    *
@@ -284,9 +526,32 @@ class StatusBar extends H5P.EventDispatcher {
    * @return {object} Progress elements.
    */
   createProgressIndicator() {
-    const current = document.createElement('span');
+    // Learners can type the number of a chapter to jump there
+    const current = document.createElement('input');
     current.classList.add('h5p-interactive-book-status-progress-number');
-    current.setAttribute('aria-hidden', 'true');
+    current.classList.add('h5p-interactive-book-status-progress-input');
+    current.setAttribute('type', 'text');
+    current.setAttribute('inputmode', 'numeric');
+    current.setAttribute('size', `${this.totalChapters}`.length);
+    current.setAttribute('aria-label', this.params.l10n.jumpToChapter);
+    current.setAttribute('title', this.params.l10n.jumpToChapter);
+    current.addEventListener('focus', () => {
+      current.select();
+    });
+    current.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') {
+        // Committing the value triggers the change event that jumps
+        current.blur();
+        event.preventDefault();
+      }
+      else if (event.key === 'Escape' || event.key === 'Esc') {
+        current.value = this.parent.getActiveChapter() + 1;
+        event.preventDefault();
+      }
+    });
+    current.addEventListener('change', () => {
+      this.jumpToChapter(current.value);
+    });
 
     const divider = document.createElement('span');
     divider.classList.add('h5p-interactive-book-status-progress-divider');
@@ -321,6 +586,28 @@ class StatusBar extends H5P.EventDispatcher {
     };
   }
 
+  /**
+   * Jump to a chapter by its number.
+   *
+   * @param {string} value Number of chapter as entered.
+   */
+  jumpToChapter(value) {
+    const chapterId = parseInt(value, 10) - 1;
+    const isValid = !isNaN(chapterId) && chapterId >= 0 && chapterId < this.totalChapters &&
+      !this.parent.isChapterLocked(chapterId);
+
+    if (!isValid || (chapterId === this.parent.getActiveChapter() && !this.parent.isSummaryVisible())) {
+      this.progressIndicator.current.value = this.parent.getActiveChapter() + 1;
+      return;
+    }
+
+    this.parent.trigger('newChapter', {
+      h5pbookid: this.parent.contentId,
+      chapter: `h5p-interactive-book-chapter-${this.parent.chapters[chapterId].id}`,
+      section: 'top'
+    });
+  }
+
   /**
    * Edit button state on both the top and bottom bar.
    *
@@ -0,0 +1,208 @@
+/**
+ * The summary page shown after the final chapter
+ * Constructor function.
+ */
+class Summary extends H5P.EventDispatcher {
+  constructor(parent, params) {
+    super();
+
+    this.parent = parent;
+    this.params = params || {};
+
+    this.params.l10n = Object.assign({
+      summaryHeader: 'Summary',
+      score: 'Score',
+      totalScore: 'Total score',
+      chapterCompleted: 'Chapter completed!',
+      incompleteChapter: 'Incomplete chapter',
+      submitReport: 'Submit',
+      reportSubmitted: 'Your report has been submitted!',
+      passed: 'Passed',
+      failed: 'Not passed'
+    }, this.params.l10n || {});
+
+    this.container = this.createContainer();
+
+    this.list = document.createElement('ul');
+    this.list.classList.add('h5p-interactive-book-summary-list');
+
+    this.totalScore = document.createElement('p');
+    this.totalScore.classList.add('h5p-interactive-book-summary-total-score');
+
+    this.feedback = document.createElement('div');
+    this.feedback.classList.add('h5p-interactive-book-summary-feedback');
+
+    this.container.appendChild(this.createHeader());
+    this.container.appendChild(this.list);
+    this.container.appendChild(this.totalScore);
+    this.container.appendChild(this.feedback);
+    this.container.appendChild(this.createSubmitArea());
+  }
+
+  /**
+   * Create the top level element.
+   *
+   * @return {HTMLElement} Summary page.
+   */
+  createContainer() {
+    const container = document.createElement('div');
+    container.classList.add('h5p-interactive-book-chapter');
+    container.classList.add('h5p-interactive-book-summary');
+    return container;
+  }
+
+  /**
+   * Create header.
+   *
+   * @return {HTMLElement} Header element.
+   */
+  createHeader() {
+    const header = document.createElement('h2');
+    header.classList.add('h5p-interactive-book-summary-header');
+    header.innerHTML = this.params.l10n.summaryHeader;
+
+    return header;
+  }
+
+  /**
+   * Create submit button and the message shown after submitting.
+   *
+   * @return {HTMLElement} Submit area.
+   */
+  createSubmitArea() {
+    this.submitButton = document.createElement('button');
+    this.submitButton.classList.add('h5p-interactive-book-summary-submit');
+    this.submitButton.innerHTML = this.params.l10n.submitReport;
+    this.submitButton.onclick = () => {
+      this.parent.submitReport();
+    };
+
+    this.submittedMessage = document.createElement('p');
+    this.submittedMessage.classList.add('h5p-interactive-book-summary-submitted');
+    this.submittedMessage.setAttribute('role', 'status');
+
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('h5p-interactive-book-summary-submit-wrapper');
+    wrapper.appendChild(this.submitButton);
+    wrapper.appendChild(this.submittedMessage);
+
+    return wrapper;
+  }
+
+  /**
+   * Create a row for a chapter.
+   *
+   * @param {object} chapter Chapter.
+   * @param {number} chapterId Chapter Id.
+   * @return {HTMLElement} Chapter row.
+   */
+  createChapterRow(chapter, chapterId) {
+    let title;
+    if (chapter.completed) {
+      title = document.createElement('span');
+    }
+    else {
+      // Unfinished chapters link back to the chapter
+      title = document.createElement('button');
+      title.onclick = () => {
+        this.parent.trigger('newChapter', {
+          h5pbookid: this.parent.contentId,
+          chapter: `h5p-interactive-book-chapter-${chapter.id}`,
+          section: 'top'
+        });
+      };
+    }
+    title.classList.add('h5p-interactive-book-summary-chapter-title');
+    title.innerHTML = this.parent.getChapterTitle(chapterId);
+
+    const status = document.createElement('span');
+    status.classList.add('h5p-interactive-book-summary-chapter-status');
+    status.classList.add(chapter.completed ? 'icon-chapter-done' : 'icon-chapter-blank');
+    status.setAttribute('title', chapter.completed ?
+      this.params.l10n.chapterCompleted :
+      this.params.l10n.incompleteChapter
+    );
+
+    const score = document.createElement('span');
+    score.classList.add('h5p-interactive-book-summary-chapter-score');
+    const scores = this.parent.pageContent.getChapterScores(chapterId);
+    score.innerHTML = `${this.params.l10n.score}: ${this.getScoreText(scores.score, scores.maxScore)}`;
+
+    const row = document.createElement('li');
+    row.classList.add('h5p-interactive-book-summary-chapter');
+    row.appendChild(status);
+    row.appendChild(title);
+    row.appendChild(score);
+
+    return row;
+  }
+
+  /**
+   * Get score text.
+   *
+   * @param {number} score Score.
+   * @param {number} maxScore Maximum score.
+   * @return {string} Score text.
+   */
+  getScoreText(score, maxScore) {
+    return `${score} / ${maxScore}`;
+  }
+
+  /**
+   * Update the summary with the current state of the chapters.
+   */
+  update() {
+    // Chapters that were never opened count as well
+    this.parent.pageContent.loadChapterScores();
+
+    this.list.innerHTML = '';
+    this.parent.chapters.forEach((chapter, chapterId) => {
+      this.list.appendChild(this.createChapterRow(chapter, chapterId));
+    });
+
+    this.totalScore.innerHTML = `${this.params.l10n.totalScore}: ${this.getScoreText(this.parent.getScore(), this.parent.getMaxScore())}`;
+    this.updateFeedback();
+    this.setSubmitted(this.parent.isSubmitted);
+  }
+
+  /**
+   * Update pass status and the feedback for the learner's score range.
+   */
+  updateFeedback() {
+    const passed = this.parent.isPassed();
+
+    const status = document.createElement('p');
+    status.classList.add('h5p-interactive-book-summary-pass-status');
+    status.classList.add(passed ? 'h5p-interactive-book-summary-passed' : 'h5p-interactive-book-summary-failed');
+    status.innerHTML = passed ? this.params.l10n.passed : this.params.l10n.failed;
+
+    this.feedback.innerHTML = '';
+    this.feedback.appendChild(status);
+
+    const feedbackText = this.parent.getOverallFeedback();
+    if (feedbackText) {
+      const text = document.createElement('p');
+      text.classList.add('h5p-interactive-book-summary-feedback-text');
+      text.innerHTML = feedbackText;
+      this.feedback.appendChild(text);
+    }
+  }
+
+  /**
+   * Set the submitted state of the submit button.
+   *
+   * @param {boolean} submitted True, if report has been submitted.
+   */
+  setSubmitted(submitted) {
+    if (submitted) {
+      this.submitButton.setAttribute('disabled', 'disabled');
+      this.submittedMessage.innerHTML = this.params.l10n.reportSubmitted;
+    }
+    else {
+      this.submitButton.removeAttribute('disabled');
+      this.submittedMessage.innerHTML = '';
+    }
+  }
+}
+
+export default Summary;
@@ -0,0 +1,318 @@
+/** Distance in px a finger must move before the gesture counts as swipe or scroll */
+const DIRECTION_THRESHOLD = 10;
+
+/** Part of the content width a chapter must be dragged to turn it */
+const COMMIT_RATIO = 0.25;
+
+/** Speed in px/ms of a flick that turns the chapter regardless of the distance */
+const COMMIT_VELOCITY = 0.5;
+
+/** Dampening when dragging without a chapter to turn to */
+const RESISTANCE = 0.3;
+
+/** Duration in ms of moving the chapters into place, same as the chapter animation */
+const SETTLE_DURATION = 250;
+
+/** Child content that uses horizontal gestures itself */
+const IGNORE_SELECTORS = [
+  'input', 'textarea', 'select', 'video', 'audio', 'canvas',
+  '[draggable="true"]', '[role="slider"]',
+  '.ui-draggable', '.ui-slider', '.h5p-draggable',
+  '.h5p-image-slider', '.h5p-image-juxtaposition', '.h5p-drag-text'
+];
+
+/**
+ * Turns chapters by swiping horizontally on touch devices
+ * Constructor function.
+ */
+class Swipe {
+  constructor(pageContent, parent) {
+    this.pageContent = pageContent;
+    this.parent = parent;
+    this.content = pageContent.content;
+
+    this.gesture = null;
+    this.isSettling = false;
+
+    this.content.addEventListener('touchstart', event => this.handleTouchStart(event), {passive: true});
+    this.content.addEventListener('touchmove', event => this.handleTouchMove(event), {passive: false});
+    this.content.addEventListener('touchend', () => this.handleTouchEnd());
+    this.content.addEventListener('touchcancel', () => this.handleTouchEnd(true));
+  }
+
+  /**
+   * Check whether the chapters can be swiped right now.
+   *
+   * @return {boolean} True, if chapters can be swiped.
+   */
+  canSwipe() {
+    return !this.isSettling && !this.parent.isSummaryVisible() && !this.pageContent.isAnimating();
+  }
+
+  /**
+   * Check whether a gesture starts on child content that needs the gesture itself.
+   *
+   * @param {HTMLElement} element Element the gesture started on.
+   * @return {boolean} True, if the gesture should be ignored.
+   */
+  shouldIgnore(element) {
+    const selector = IGNORE_SELECTORS.join(', ');
+
+    while (element && element !== this.content) {
+      const matches = element.matches || element.msMatchesSelector;
+      if (matches && matches.call(element, selector)) {
+        return true;
+      }
+
+      // Content that can be scrolled horizontally
+      if (element.scrollWidth > element.clientWidth) {
+        const overflowX = window.getComputedStyle(element).overflowX;
+        if (overflowX === 'auto' || overflowX === 'scroll') {
+          return true;
+        }
+      }
+
+      element = element.parentElement;
+    }
+
+    return false;
+  }
+
+  /**
+   * Handle the start of a gesture.
+   *
+   * @param {TouchEvent} event Touch event.
+   */
+  handleTouchStart(event) {
+    if (event.touches.length !== 1 || !this.canSwipe() || this.shouldIgnore(event.target)) {
+      this.gesture = null;
+      return;
+    }
+
+    this.gesture = {
+      startX: event.touches[0].clientX,
+      startY: event.touches[0].clientY,
+      startTime: Date.now(),
+      deltaX: 0,
+      isSwiping: false,
+      current: this.parent.getActiveChapter(),
+      neighbour: null
+    };
+  }
+
+  /**
+   * Handle the finger moving, drag the chapters once the gesture is horizontal.
+   *
+   * @param {TouchEvent} event Touch event.
+   */
+  handleTouchMove(event) {
+    if (!this.gesture) {
+      return;
+    }
+
+    if (event.touches.length !== 1) {
+      this.handleTouchEnd(true);
+      return;
+    }
+
+    const deltaX = event.touches[0].clientX - this.gesture.startX;
+    const deltaY = event.touches[0].clientY - this.gesture.startY;
+
+    if (!this.gesture.isSwiping) {
+      if (Math.abs(deltaX) < DIRECTION_THRESHOLD && Math.abs(deltaY) < DIRECTION_THRESHOLD) {
+        return;
+      }
+
+      // Leave vertical gestures to scrolling
+      if (Math.abs(deltaY) >= Math.abs(deltaX)) {
+        this.gesture = null;
+        return;
+      }
+
+      this.gesture.isSwiping = true;
+      this.gesture.width = this.content.offsetWidth;
+      this.getNode(this.gesture.current).classList.add('h5p-interactive-book-swipe');
+    }
+
+    event.preventDefault();
+    this.gesture.deltaX = deltaX;
+    this.updatePositions();
+  }
+
+  /**
+   * Handle the end of a gesture, turn the chapter or move it back.
+   *
+   * @param {boolean} [cancelled=false] True, if the gesture was interrupted.
+   */
+  handleTouchEnd(cancelled = false) {
+    const gesture = this.gesture;
+    if (!gesture || !gesture.isSwiping) {
+      this.gesture = null;
+      return;
+    }
+
+    const distance = Math.abs(gesture.deltaX);
+    const velocity = distance / Math.max(1, Date.now() - gesture.startTime);
+    const commit = !cancelled && gesture.neighbour !== null &&
+      (distance > gesture.width * COMMIT_RATIO || velocity > COMMIT_VELOCITY);
+
+    this.settle(commit);
+  }
+
+  /**
+   * Get the column node of a chapter.
+   *
+   * @param {number} chapterId Chapter Id.
+   * @return {HTMLElement} Column node.
+   */
+  getNode(chapterId) {
+    return this.pageContent.columnNodes[chapterId];
+  }
+
+  /**
+   * Get the chapter that the current gesture would turn to.
+   *
+   * @return {number|null} Chapter Id or null if there's none.
+   */
+  getNeighbour() {
+    const neighbour = this.gesture.current + ((this.gesture.deltaX * this.getDirection() < 0) ? 1 : -1);
+
+    if (neighbour < 0 || neighbour > this.pageContent.columnNodes.length - 1 ||
+      this.parent.isChapterLocked(neighbour)) {
+      return null;
+    }
+
+    return neighbour;
+  }
+
+  /**
+   * Move the current and the neighbouring chapter along with the finger.
+   */
+  updatePositions() {
+    const gesture = this.gesture;
+    const neighbour = this.getNeighbour();
+
+    if (neighbour !== gesture.neighbour) {
+      if (gesture.neighbour !== null) {
+        this.resetNode(this.getNode(gesture.neighbour));
+      }
+      if (neighbour !== null) {
+        this.pageContent.initializeChapter(neighbour);
+        this.getNode(neighbour).classList.add('h5p-interactive-book-swipe');
+      }
+      gesture.neighbour = neighbour;
+    }
+
+    if (neighbour === null) {
+      this.setPosition(this.getNode(gesture.current), gesture.deltaX * RESISTANCE);
+      return;
+    }
+
+    this.setPosition(this.getNode(gesture.current), gesture.deltaX);
+    this.setPosition(this.getNode(neighbour), this.getOffset(gesture, neighbour) + gesture.deltaX);
+  }
+
+  /**
+   * Get the resting position of the neighbouring chapter.
+   *
+   * @param {object} gesture Gesture.
+   * @param {number} neighbour Chapter Id of neighbour.
+   * @return {number} Offset in px.
+   */
+  getOffset(gesture, neighbour) {
+    return ((neighbour > gesture.current) ? gesture.width : -gesture.width) * this.getDirection();
+  }
+
+  /**
+   * Get the side that the next chapter is on.
+   *
+   * @return {number} 1 if the next chapter is on the right, -1 if it is on the left.
+   */
+  getDirection() {
+    return this.parent.isRTL() ? -1 : 1;
+  }
+
+  /**
+   * Set horizontal position of a chapter.
+   *
+   * @param {HTMLElement} node Column node.
+   * @param {number} x Offset in px.
+   */
+  setPosition(node, x) {
+    node.style.transform = `translateX(${x}px)`;
+  }
+
+  /**
+   * Move the chapters into their final place and turn the chapter if requested.
+   *
+   * @param {boolean} commit True to turn the chapter, false to move it back.
+   */
+  settle(commit) {
+    const gesture = this.gesture;
+    const current = this.getNode(gesture.current);
+    const neighbour = (gesture.neighbour !== null) ? this.getNode(gesture.neighbour) : null;
+
+    this.isSettling = true;
+    this.gesture = null;
+
+    current.classList.add('h5p-interactive-book-swipe-settle');
+    if (neighbour) {
+      neighbour.classList.add('h5p-interactive-book-swipe-settle');
+    }
+
+    if (commit) {
+      this.setPosition(current, -this.getOffset(gesture, gesture.neighbour));
+      this.setPosition(neighbour, 0);
+    }
+    else {
+      this.setPosition(current, 0);
+      if (neighbour) {
+        this.setPosition(neighbour, this.getOffset(gesture, gesture.neighbour));
+      }
+    }
+
+    setTimeout(() => {
+      // Moving back, or the chapter has been changed by other means meanwhile
+      if (!commit || this.parent.getActiveChapter() !== gesture.current) {
+        this.reset();
+        return;
+      }
+
+      // The chapters are reset once the book has changed the chapter
+      this.parent.trigger('newChapter', {
+        h5pbookid: this.parent.contentId,
+        chapter: `h5p-interactive-book-chapter-${this.parent.chapters[gesture.neighbour].id}`,
+        swiped: true
+      });
+
+      // The book may refuse or queue the change, e.g. for a locked chapter
+      setTimeout(() => {
+        if (this.isSettling && this.parent.getActiveChapter() === gesture.current) {
+          this.reset();
+        }
+      }, SETTLE_DURATION);
+    }, SETTLE_DURATION);
+  }
+
+  /**
+   * Remove the position and classes that a gesture has set on a chapter.
+   *
+   * @param {HTMLElement} node Column node.
+   */
+  resetNode(node) {
+    node.classList.remove('h5p-interactive-book-swipe');
+    node.classList.remove('h5p-interactive-book-swipe-settle');
+    node.style.transform = '';
+  }
+
+  /**
+   * Reset all chapters moved by a gesture.
+   */
+  reset() {
+    this.pageContent.columnNodes.forEach(node => this.resetNode(node));
+    this.gesture = null;
+    this.isSettling = false;
+  }
+}
+
+export default Swipe;
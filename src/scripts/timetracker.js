@@ -0,0 +1,157 @@
+/**
+ * Accumulates the time a chapter has been visible to the learner
+ * Constructor function.
+ */
+class TimeTracker {
+  constructor(numberOfChapters, previousTimes) {
+    // Time in ms per chapter, restored if the number of chapters still matches
+    const canRestore = Array.isArray(previousTimes) && previousTimes.length === numberOfChapters;
+    this.times = [];
+    for (let i = 0; i < numberOfChapters; i++) {
+      const time = canRestore ? previousTimes[i] : 0;
+      this.times.push((typeof time === 'number' && time > 0) ? time : 0);
+    }
+
+    this.activeChapter = null;
+    this.startTime = null;
+
+    // Reasons for pausing, time is only counted if there are none
+    this.pauseReasons = {};
+
+    this.addListeners();
+  }
+
+  /**
+   * Convert milliseconds to an ISO 8601 duration as used by xAPI.
+   *
+   * @param {number} time Time in ms.
+   * @return {string} ISO 8601 duration, e.g. PT1H2M3.45S.
+   */
+  static toISO8601Duration(time) {
+    const totalSeconds = Math.round(time / 10) / 100;
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = Math.round((totalSeconds % 60) * 100) / 100;
+
+    return `PT${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds}S`;
+  }
+
+  /**
+   * Pause or resume tracking when the learner cannot see the book.
+   */
+  addListeners() {
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pause('hidden');
+      }
+      else {
+        this.resume('hidden');
+      }
+    });
+
+    window.addEventListener('blur', () => {
+      this.pause('blur');
+    });
+
+    window.addEventListener('focus', () => {
+      this.resume('blur');
+    });
+
+    if (document.hidden) {
+      this.pause('hidden');
+    }
+  }
+
+  /**
+   * Check whether time is being counted.
+   *
+   * @return {boolean} True, if time is being counted.
+   */
+  isRunning() {
+    return this.startTime !== null;
+  }
+
+  /**
+   * Start counting time if there is an active chapter and no reason to pause.
+   */
+  start() {
+    if (this.isRunning() || this.activeChapter === null || Object.keys(this.pauseReasons).length) {
+      return;
+    }
+
+    this.startTime = Date.now();
+  }
+
+  /**
+   * Stop counting time and add the time counted so far to the active chapter.
+   */
+  stop() {
+    if (!this.isRunning()) {
+      return;
+    }
+
+    this.times[this.activeChapter] += Date.now() - this.startTime;
+    this.startTime = null;
+  }
+
+  /**
+   * Set the chapter that time is counted for.
+   *
+   * @param {number} chapterId Chapter Id.
+   */
+  setChapter(chapterId) {
+    if (chapterId === this.activeChapter || chapterId < 0 || chapterId > this.times.length - 1) {
+      return;
+    }
+
+    this.stop();
+    this.activeChapter = chapterId;
+    this.start();
+  }
+
+  /**
+   * Pause counting time.
+   *
+   * @param {string} reason Reason for pausing.
+   */
+  pause(reason) {
+    this.pauseReasons[reason] = true;
+    this.stop();
+  }
+
+  /**
+   * Resume counting time, if there are no other reasons for pausing.
+   *
+   * @param {string} reason Reason that no longer applies.
+   */
+  resume(reason) {
+    delete this.pauseReasons[reason];
+    this.start();
+  }
+
+  /**
+   * Get time spent on a chapter.
+   *
+   * @param {number} chapterId Chapter Id.
+   * @return {number} Time in ms.
+   */
+  getTime(chapterId) {
+    let time = this.times[chapterId] || 0;
+    if (this.isRunning() && chapterId === this.activeChapter) {
+      time += Date.now() - this.startTime;
+    }
+
+    return time;
+  }
+
+  /**
+   * Get time spent on all chapters.
+   *
+   * @return {number[]} Time in ms per chapter.
+   */
+  getTimes() {
+    return this.times.map((time, chapterId) => this.getTime(chapterId));
+  }
+}
+
+export default TimeTracker;
@@ -1,44 +1,115 @@
+/** Keys of the fragments that describe a position in a book */
+const POSITION_KEYS = ['chapter', 'section', 'headerNumber'];
+
 /** Class representing URL related functions */
 class URLTools {
   /**
    * Extract fragments from browser URL.
    *
+   * Positions of several books are namespaced by content id, e.g.
+   * #h5pbook-1.chapter=...&h5pbook-1.section=...&h5pbook-2.chapter=...
+   * The former format #h5pbookid=1&chapter=...&section=... is still understood.
+   *
+   * @param {function} [validate] Validation function for fragments.
+   * @param {string} [hash] Hash to extract fragments from.
+   * @param {number} [contentId] Id of the book to extract the fragments for.
    * @return {object} Fragments.
    */
-  static extractFragmentsFromURL(validate) {
-    if (!top.location.hash) {
+  static extractFragmentsFromURL(validate, hash, contentId) {
+    const allFragments = URLTools.parseHash(hash);
+
+    let fragments = {};
+    const prefix = URLTools.getNamespacePrefix(contentId);
+    const hasNamespace = contentId !== undefined && Object.keys(allFragments)
+      .some(key => key.indexOf(prefix) === 0);
+
+    if (hasNamespace) {
+      fragments.h5pbookid = contentId.toString();
+      POSITION_KEYS.forEach(key => {
+        if (allFragments[prefix + key] !== undefined) {
+          fragments[key] = allFragments[prefix + key];
+        }
+      });
+    }
+    else {
+      fragments = allFragments;
+    }
+
+    // Optionally validate and ignore fragments
+    if (typeof validate === 'function' && !validate(fragments)) {
       return {};
     }
 
-    // Convert fragment string to object with properties
+    return fragments;
+  }
+
+  /**
+   * Convert hash to object with properties.
+   *
+   * @param {string} [hash] Hash.
+   * @return {object} Key value pairs of the hash.
+   */
+  static parseHash(hash) {
     const fragments = {};
-    top.location.hash.replace('#', '').split('&')
+    if (!hash) {
+      return fragments;
+    }
+
+    hash.replace('#', '').split('&')
       .forEach(fragment => {
         if (fragment.indexOf('=') === -1) {
           return; // Skip if incomplete pair
         }
         const argPair = fragment.split('=');
-        fragments[argPair[0]] = argPair[1];
+        fragments[decodeURIComponent(argPair[0])] = decodeURIComponent(argPair[1]);
       });
 
-    // Optionally validate and ignore fragments
-    if (typeof validate === 'function' && !validate(fragments)) {
-      return {};
-    }
-
     return fragments;
   }
 
+  /**
+   * Get prefix of the keys that belong to a book.
+   *
+   * @param {number} contentId Content id of the book.
+   * @return {string} Prefix.
+   */
+  static getNamespacePrefix(contentId) {
+    return `h5pbook-${contentId}.`;
+  }
+
   /**
    * Create fragments string from fragments object.
    *
+   * Only the part of the book given by fragments.h5pbookid is replaced, the
+   * parts of other books and anything else in the current hash are kept.
+   *
    * @param {object} fragments Fragments.
+   * @param {string} [currentHash] Hash to update.
    * @return {string} Fragments string.
    */
-  static createFragmentsString(fragments) {
+  static createFragmentsString(fragments, currentHash) {
+    const allFragments = URLTools.parseHash(currentHash);
+    const prefix = URLTools.getNamespacePrefix(fragments.h5pbookid);
+
+    // Drop the book's former position in both formats
+    if (allFragments.h5pbookid !== undefined &&
+      parseInt(allFragments.h5pbookid) === parseInt(fragments.h5pbookid)) {
+      delete allFragments.h5pbookid;
+      POSITION_KEYS.forEach(key => delete allFragments[key]);
+    }
+    Object.keys(allFragments)
+      .filter(key => key.indexOf(prefix) === 0)
+      .forEach(key => delete allFragments[key]);
+
+    POSITION_KEYS.forEach(key => {
+      if (fragments[key] !== undefined && fragments[key] !== null) {
+        allFragments[prefix + key] = fragments[key];
+      }
+    });
+
     let parts = [];
-    for (const fragment in fragments) {
-      parts.push(`${fragment}=${fragments[fragment]}`);
+    for (const fragment in allFragments) {
+      parts.push(`${encodeURIComponent(fragment)}=${encodeURIComponent(allFragments[fragment])}`);
     }
     return `#${parts.join('&')}`;
   }
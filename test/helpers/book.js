@@ -0,0 +1,51 @@
+import InteractiveBook from '../../src/scripts/app';
+
+/**
+ * Create the parameters of a chapter.
+ *
+ * @param {string} id Subcontent id.
+ * @param {string[]} libraries Machine names of the sections, e.g. H5P.MultiChoice.
+ * @return {object} Chapter parameters.
+ */
+export const createChapter = (id, libraries) => ({
+  library: 'H5P.Column 1.13',
+  subContentId: id,
+  metadata: {title: `Chapter ${id}`},
+  params: {
+    content: libraries.map((library, index) => ({
+      content: {
+        library: `${library} 1.0`,
+        subContentId: `${id}-${index}`,
+        params: (library === 'H5P.AdvancedText') ? {text: `<p>Text of ${id}.</p>`} : {},
+        metadata: {title: `Section ${index + 1}`}
+      }
+    }))
+  }
+});
+
+/**
+ * Create a book.
+ *
+ * @param {object[]} chapters Chapter parameters.
+ * @param {object} [options] Options.
+ * @param {object} [options.behaviour] Behaviour settings.
+ * @param {object} [options.previousState] Previous state.
+ * @param {object} [options.config] Further parameters.
+ * @return {InteractiveBook} Book.
+ */
+export const createBook = (chapters, options = {}) => {
+  const config = Object.assign({
+    chapters: chapters.map(chapter => ({chapter, level: '1'})),
+    behaviour: Object.assign({
+      progressIndicators: true,
+      progressAuto: true,
+      displaySummary: true,
+      routing: 'memory'
+    }, options.behaviour)
+  }, options.config);
+
+  return new InteractiveBook(config, 1, {
+    metadata: {title: 'Book'},
+    previousState: options.previousState
+  });
+};
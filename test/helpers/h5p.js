@@ -0,0 +1,235 @@
+/**
+ * Minimal H5P runtime for running the book outside of an H5P integration
+ *
+ * Only what the book uses is implemented. Chapters are columns of fake
+ * sub-content, tasks being H5P.MultiChoice with one point each.
+ */
+
+/** Libraries that are tasks */
+const TASK_LIBRARIES = ['H5P.MultiChoice'];
+
+const H5P = {};
+
+/**
+ * Event with data.
+ *
+ * @param {string} type Type.
+ * @param {*} data Data.
+ */
+H5P.Event = function (type, data) {
+  this.type = type;
+  this.data = data;
+};
+
+/**
+ * xAPI event with a statement.
+ */
+H5P.XAPIEvent = function () {
+  H5P.Event.call(this, 'xAPI', {statement: {}});
+};
+H5P.XAPIEvent.prototype = Object.create(H5P.Event.prototype);
+H5P.XAPIEvent.prototype.constructor = H5P.XAPIEvent;
+
+H5P.XAPIEvent.prototype.setVerb = function (verb) {
+  this.data.statement.verb = {id: `http://adlnet.gov/expapi/verbs/${verb}`};
+};
+
+H5P.XAPIEvent.prototype.getVerb = function () {
+  return this.data.statement.verb.id.split('/').pop();
+};
+
+H5P.XAPIEvent.prototype.setObject = function (instance) {
+  this.data.statement.object = {
+    id: `content/${instance.contentId}${instance.subContentId ? `?subContentId=${instance.subContentId}` : ''}`,
+    definition: {}
+  };
+};
+
+H5P.XAPIEvent.prototype.setScoredResult = function (score, maxScore, instance, completion, success) {
+  this.data.statement.result = {score: {min: 0, max: maxScore, raw: score}};
+  if (completion !== undefined) {
+    this.data.statement.result.completion = completion;
+  }
+  if (success !== undefined) {
+    this.data.statement.result.success = success;
+  }
+};
+
+H5P.XAPIEvent.prototype.getVerifiedStatementValue = function (keys) {
+  return keys.reduce((value, key) => value ? value[key] : undefined, this.data.statement);
+};
+
+/**
+ * Event dispatcher, listeners are kept in the closure like H5P's own.
+ */
+H5P.EventDispatcher = function () {
+  const listeners = {};
+
+  this.on = function (type, listener, thisArg) {
+    listeners[type] = (listeners[type] || []).concat([{listener, thisArg}]);
+  };
+
+  this.once = function (type, listener, thisArg) {
+    const once = function (event) {
+      this.off(type, once);
+      listener.call(thisArg || this, event);
+    };
+    this.on(type, once);
+  };
+
+  this.off = function (type, listener) {
+    listeners[type] = (listeners[type] || []).filter(entry => entry.listener !== listener);
+  };
+
+  this.trigger = function (event, data) {
+    if (typeof event === 'string') {
+      event = new H5P.Event(event, data);
+    }
+
+    (listeners[event.type] || []).slice().forEach(entry => {
+      entry.listener.call(entry.thisArg || this, event);
+    });
+
+    // xAPI events are passed on once with the triggering instance as this
+    if (event instanceof H5P.XAPIEvent && !event.isExternal) {
+      event.isExternal = true;
+      H5P.externalDispatcher.trigger.call(this, event);
+    }
+  };
+};
+
+H5P.EventDispatcher.prototype.createXAPIEventTemplate = function (verb) {
+  const event = new H5P.XAPIEvent();
+  event.setVerb(verb);
+  event.setObject(this);
+  return event;
+};
+
+H5P.EventDispatcher.prototype.triggerXAPIScored = function (score, maxScore, verb, completion, success) {
+  const event = this.createXAPIEventTemplate(verb);
+  event.setScoredResult(score, maxScore, this, completion, success);
+  this.trigger(event);
+};
+
+H5P.externalDispatcher = new H5P.EventDispatcher();
+
+H5P.on = (instance, type, listener) => instance.on(type, listener);
+H5P.trigger = (instance, type, data) => instance.trigger(type, data);
+
+let uuid = 0;
+H5P.createUUID = () => `uuid-${++uuid}`;
+H5P.getPath = path => path;
+H5P.error = () => {};
+H5P.canHasFullScreen = false;
+H5P.isFullscreen = false;
+H5P.jQuery = element => [element];
+
+H5P.libraryFromString = library => {
+  const [machineName, version] = library.split(' ');
+  const [majorVersion, minorVersion] = (version || '1.0').split('.').map(Number);
+  return {machineName, majorVersion, minorVersion};
+};
+
+/**
+ * Sub-content of a column, tasks can be answered.
+ *
+ * @param {object} content Content parameters incl. library and subContentId.
+ * @param {object} [previousState] Previous state.
+ */
+H5P.FakeContent = function (content, previousState) {
+  H5P.EventDispatcher.call(this);
+
+  this.subContentId = content.subContentId;
+  this.libraryInfo = H5P.libraryFromString(content.library);
+  this.isQuestion = TASK_LIBRARIES.indexOf(this.libraryInfo.machineName) !== -1;
+  this.answered = !!(previousState && previousState.answered);
+};
+H5P.FakeContent.prototype = Object.create(H5P.EventDispatcher.prototype);
+H5P.FakeContent.prototype.constructor = H5P.FakeContent;
+
+H5P.FakeContent.prototype.answer = function () {
+  this.answered = true;
+  this.trigger(this.createXAPIEventTemplate('answered'));
+};
+
+H5P.FakeContent.prototype.getScore = function () {
+  return this.answered ? 1 : 0;
+};
+
+H5P.FakeContent.prototype.getMaxScore = function () {
+  return this.isQuestion ? 1 : 0;
+};
+
+H5P.FakeContent.prototype.getAnswerGiven = function () {
+  return !this.isQuestion || this.answered;
+};
+
+H5P.FakeContent.prototype.getCurrentState = function () {
+  return {answered: this.answered};
+};
+
+H5P.FakeContent.prototype.resetTask = function () {
+  this.answered = false;
+};
+
+/**
+ * Column holding the sections of a chapter.
+ *
+ * @param {object} params Column parameters.
+ * @param {object} [previousState] Previous state.
+ */
+H5P.Column = function (params, previousState) {
+  H5P.EventDispatcher.call(this);
+
+  const states = (previousState && previousState.instances) || [];
+  this.instances = params.content.map((section, index) => new H5P.FakeContent(section.content, states[index]));
+};
+H5P.Column.prototype = Object.create(H5P.EventDispatcher.prototype);
+H5P.Column.prototype.constructor = H5P.Column;
+
+H5P.Column.isTask = instance => (instance.isTask !== undefined) ?
+  instance.isTask :
+  TASK_LIBRARIES.indexOf(instance.libraryInfo.machineName) !== -1;
+
+H5P.Column.prototype.getInstances = function () {
+  return this.instances;
+};
+
+H5P.Column.prototype.attach = function ($container) {
+  this.instances.forEach(() => {
+    const wrapper = document.createElement('div');
+    wrapper.classList.add('h5p-column-content');
+    $container[0].appendChild(wrapper);
+  });
+};
+
+['getScore', 'getMaxScore'].forEach(name => {
+  H5P.Column.prototype[name] = function () {
+    return this.instances.reduce((sum, instance) => sum + instance[name](), 0);
+  };
+});
+
+H5P.Column.prototype.getAnswerGiven = function () {
+  return this.instances.every(instance => instance.getAnswerGiven());
+};
+
+H5P.Column.prototype.getCurrentState = function () {
+  return {instances: this.instances.map(instance => instance.getCurrentState())};
+};
+
+H5P.Column.prototype.resetTask = function () {
+  this.instances.forEach(instance => instance.resetTask());
+};
+
+H5P.Column.prototype.getXAPIData = function () {
+  return {statement: this.createXAPIEventTemplate('answered').data.statement};
+};
+
+H5P.newRunnable = (library, contentId, $attachTo, skipResize, extras) => {
+  const instance = new H5P.Column(library.params, extras && extras.previousState);
+  instance.contentId = contentId;
+  instance.subContentId = library.subContentId;
+  return instance;
+};
+
+module.exports = H5P;
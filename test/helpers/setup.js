@@ -0,0 +1,15 @@
+/**
+ * Browser environment and H5P runtime the scripts expect as globals
+ */
+const {JSDOM} = require('jsdom');
+
+const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+  url: 'https://example.org/book'
+});
+
+global.window = dom.window;
+global.document = dom.window.document;
+global.top = dom.window;
+global.Node = dom.window.Node;
+global.NodeFilter = dom.window.NodeFilter;
+global.H5P = require('./h5p');
@@ -0,0 +1,42 @@
+import test from 'ava';
+import Highlights from '../src/scripts/highlights';
+
+const highlights = new Highlights({}, {}, []);
+
+const highlight = {id: 'h1', start: 4, end: 9, text: 'quick'};
+
+test('unchanged text is found at its offsets', t => {
+  t.deepEqual(highlights.locate('The quick brown fox', highlight), {start: 4, end: 9});
+});
+
+test('moved text is found by the text', t => {
+  t.deepEqual(highlights.locate('Look, the quick brown fox', highlight), {start: 10, end: 15});
+});
+
+test('changed text is found by the first occurrence', t => {
+  t.deepEqual(highlights.locate('A quick fox, quicker than the quick dog', highlight), {start: 2, end: 7});
+});
+
+test('removed text is not found', t => {
+  t.is(highlights.locate('The slow brown fox', highlight), null);
+});
+
+test('highlights without text use their offsets if they are within the text', t => {
+  const offsets = {start: 4, end: 9};
+
+  t.deepEqual(highlights.locate('The quick brown fox', offsets), {start: 4, end: 9});
+  t.is(highlights.locate('The quick', {start: 4, end: 12}), null);
+});
+
+test('painting marks the located text across elements', t => {
+  const root = document.createElement('div');
+  root.innerHTML = '<p>The qu<em>ick</em> brown fox</p>';
+
+  highlights.paint(root, {id: 'h2', start: 0, end: 0, text: 'quick brown'});
+
+  const marks = root.querySelectorAll('mark[data-highlight-id="h2"]');
+  t.is(marks.length, 3);
+  t.is(Array.prototype.map.call(marks, mark => mark.textContent).join(''), 'quick brown');
+  t.is(root.textContent, 'The quick brown fox');
+  t.is(root.querySelectorAll('mark[tabindex="0"]').length, 1);
+});
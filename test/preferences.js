@@ -0,0 +1,45 @@
+import test from 'ava';
+import Preferences from '../src/scripts/preferences';
+
+const defaults = {
+  textSize: 1,
+  lineSpacing: 'normal',
+  dyslexiaFont: false,
+  theme: 'light'
+};
+
+test('the defaults are used without previous preferences', t => {
+  t.deepEqual(Preferences.validate(), defaults);
+  t.deepEqual(Preferences.validate(null), defaults);
+  t.deepEqual(Preferences.validate({}), defaults);
+});
+
+test('valid preferences are kept', t => {
+  const preferences = {
+    textSize: 1.5,
+    lineSpacing: 'loose',
+    dyslexiaFont: true,
+    theme: 'high-contrast'
+  };
+
+  t.deepEqual(Preferences.validate(preferences), preferences);
+});
+
+test('invalid preferences are replaced by the defaults', t => {
+  t.deepEqual(Preferences.validate({
+    textSize: 3,
+    lineSpacing: 'double',
+    dyslexiaFont: 'yes',
+    theme: 'sepia'
+  }), defaults);
+});
+
+test('preferences are compared by value and type', t => {
+  t.is(Preferences.validate({textSize: '1.5'}).textSize, 1);
+  t.is(Preferences.validate({textSize: 1.25}).textSize, 1.25);
+});
+
+test('unknown preferences are dropped', t => {
+  t.deepEqual(Object.keys(Preferences.validate({fontFamily: 'serif', theme: 'dark'})).sort(),
+    ['dyslexiaFont', 'lineSpacing', 'textSize', 'theme']);
+});
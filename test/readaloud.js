@@ -0,0 +1,71 @@
+import test from 'ava';
+import ReadAloud from '../src/scripts/readaloud';
+
+/**
+ * Split the sentences of HTML.
+ *
+ * @param {string} html HTML.
+ * @return {object[]} Sentences with the offsets within the text of the HTML.
+ */
+const split = html => {
+  const root = document.createElement('div');
+  root.innerHTML = html;
+
+  return ReadAloud.splitSentences(root).map(sentence => ({
+    text: sentence.text,
+    start: sentence.start,
+    end: sentence.end
+  }));
+};
+
+test('sentences end with punctuation', t => {
+  t.deepEqual(split('<p>One. Two! Three? Four</p>'), [
+    {text: 'One.', start: 0, end: 4},
+    {text: 'Two!', start: 5, end: 9},
+    {text: 'Three?', start: 10, end: 16},
+    {text: 'Four', start: 17, end: 21}
+  ]);
+});
+
+test('closing quotes and repeated punctuation belong to the sentence', t => {
+  t.deepEqual(split('<p>He said "Wait!" Really?! Yes.</p>').map(sentence => sentence.text), [
+    'He said "Wait!"',
+    'Really?!',
+    'Yes.'
+  ]);
+});
+
+test('sentences run across inline elements', t => {
+  t.deepEqual(split('<p>A <strong>bold</strong> sentence. Next.</p>'), [
+    {text: 'A bold sentence.', start: 0, end: 16},
+    {text: 'Next.', start: 17, end: 22}
+  ]);
+});
+
+test('sentences never run across blocks', t => {
+  t.deepEqual(split('<h2>Title</h2><p>Text</p><ul><li>Item</li></ul>'), [
+    {text: 'Title', start: 0, end: 5},
+    {text: 'Text', start: 5, end: 9},
+    {text: 'Item', start: 9, end: 13}
+  ]);
+});
+
+test('other scripts are split by their punctuation', t => {
+  t.deepEqual(split('<p>你好。再见！</p><p>مرحبا؟ وداعا.</p>').map(sentence => sentence.text), [
+    '你好。',
+    '再见！',
+    'مرحبا؟',
+    'وداعا.'
+  ]);
+});
+
+test('sentences know the element they were found in', t => {
+  const root = document.createElement('div');
+  root.innerHTML = '<p>One.</p><p>Two.</p>';
+
+  t.true(ReadAloud.splitSentences(root).every(sentence => sentence.root === root));
+});
+
+test('whitespace is not a sentence', t => {
+  t.deepEqual(split('<p> </p><p>\n</p>'), []);
+});
@@ -0,0 +1,82 @@
+import test from 'ava';
+import {createBook, createChapter} from './helpers/book';
+
+const overallFeedback = {
+  overallFeedback: [
+    {from: 0, to: 49, feedback: 'Try again'},
+    {from: 50, to: 99, feedback: 'Almost'},
+    {from: 100, to: 100, feedback: 'Well done'}
+  ]
+};
+
+/**
+ * Create a book with two tasks in its first chapter.
+ *
+ * @param {object} [behaviour] Behaviour settings.
+ * @return {InteractiveBook} Book.
+ */
+const createTaskBook = behaviour => createBook([
+  createChapter('score-1', ['H5P.MultiChoice', 'H5P.MultiChoice'])
+], {behaviour, config: {overallFeedback}});
+
+/**
+ * Answer tasks of the first chapter.
+ *
+ * @param {InteractiveBook} book Book.
+ * @param {number} count Number of tasks to answer.
+ */
+const answerTasks = (book, count) => {
+  book.pageContent.getChapterInstance(0).getInstances().slice(0, count).forEach(instance => instance.answer());
+};
+
+// Each test is a page of its own
+test.beforeEach(() => {
+  H5P.externalDispatcher = new H5P.EventDispatcher();
+});
+
+test('the full score is required for passing by default', t => {
+  const book = createTaskBook();
+
+  answerTasks(book, 1);
+  t.false(book.isPassed());
+
+  answerTasks(book, 2);
+  t.true(book.isPassed());
+});
+
+test('the pass percentage of the author is used', t => {
+  const book = createTaskBook({passPercentage: 50});
+  t.false(book.isPassed());
+
+  answerTasks(book, 1);
+  t.true(book.isPassed());
+});
+
+test('pass percentages out of range are limited', t => {
+  t.is(createTaskBook({passPercentage: -10}).getPassPercentage(), 0);
+  t.is(createTaskBook({passPercentage: 150}).getPassPercentage(), 100);
+  t.is(createTaskBook({passPercentage: 'half'}).getPassPercentage(), 100);
+});
+
+test('books without tasks are always passed', t => {
+  const book = createBook([createChapter('score-2', ['H5P.AdvancedText'])]);
+
+  t.true(book.isPassed());
+});
+
+test('the feedback matches the percentage of the score', t => {
+  const book = createTaskBook();
+  t.is(book.getOverallFeedback(), 'Try again');
+
+  answerTasks(book, 1);
+  t.is(book.getOverallFeedback(), 'Almost');
+
+  answerTasks(book, 2);
+  t.is(book.getOverallFeedback(), 'Well done');
+});
+
+test('there is no feedback if no range matches', t => {
+  const book = createBook([createChapter('score-3', ['H5P.MultiChoice'])]);
+
+  t.is(book.getOverallFeedback(), '');
+});
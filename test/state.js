@@ -0,0 +1,117 @@
+import test from 'ava';
+import {createBook, createChapter} from './helpers/book';
+
+/**
+ * Create a book with a task in the last of three chapters.
+ *
+ * The first two chapters are loaded when the book starts.
+ *
+ * @param {object} [previousState] Previous state.
+ * @return {InteractiveBook} Book.
+ */
+const createTaskBook = previousState => createBook([
+  createChapter('state-1', ['H5P.AdvancedText']),
+  createChapter('state-2', ['H5P.AdvancedText']),
+  createChapter('state-3', ['H5P.AdvancedText', 'H5P.MultiChoice'])
+], {previousState});
+
+/**
+ * Answer the task of the last chapter and go back to the first one.
+ *
+ * @param {InteractiveBook} book Book.
+ */
+const answerTask = book => {
+  book.setActiveChapter(2);
+  book.pageContent.getChapterInstance(2).getInstances()[1].answer();
+  book.setActiveChapter(0);
+};
+
+/**
+ * Get the state of a book the way H5P stores it.
+ *
+ * @param {InteractiveBook} book Book.
+ * @return {object} Current state.
+ */
+const saveState = book => JSON.parse(JSON.stringify(book.getCurrentState()));
+
+// Each test is a page of its own
+test.beforeEach(() => {
+  H5P.externalDispatcher = new H5P.EventDispatcher();
+});
+
+test('a new book has no progress to save', t => {
+  const state = saveState(createTaskBook());
+
+  t.is(state.activeChapter, 0);
+  t.is(state.chapters.length, 3);
+  t.deepEqual(state.chapters[2], {
+    ownCompleted: false,
+    completed: false,
+    tasksLeft: 1,
+    sections: [{taskDone: false}, {taskDone: false}]
+  });
+});
+
+test('answered tasks are saved with the chapter state and scores', t => {
+  const book = createTaskBook();
+  answerTask(book);
+
+  const state = saveState(book);
+
+  t.true(state.chapters[2].ownCompleted);
+  t.true(state.chapters[2].completed);
+  t.is(state.chapters[2].tasksLeft, 0);
+  t.true(state.chapters[2].sections[1].taskDone);
+  t.deepEqual(state.chapters[2].state, {instances: [{answered: false}, {answered: true}]});
+  t.deepEqual(state.chapters[2].scores, {score: 1, maxScore: 1, answerGiven: true});
+});
+
+test('progress and scores are restored without loading the chapters', t => {
+  const book = createTaskBook();
+  answerTask(book);
+
+  const restored = createTaskBook(saveState(book));
+
+  t.is(restored.chapters[2].instance, undefined);
+  t.true(restored.chapters[2].completed);
+  t.is(restored.chapters[2].tasksLeft, 0);
+  t.true(restored.chapters[2].sections[1].taskDone);
+  t.is(restored.getScore(), 1);
+  t.is(restored.getMaxScore(), 1);
+  t.true(restored.getAnswerGiven());
+});
+
+test('restored chapters are created from their previous state', t => {
+  const book = createTaskBook();
+  answerTask(book);
+
+  const restored = createTaskBook(saveState(book));
+
+  t.true(restored.pageContent.getChapterInstance(2).getInstances()[1].answered);
+});
+
+test('state is dropped if chapters have been added or removed since', t => {
+  const book = createTaskBook();
+  answerTask(book);
+
+  const state = saveState(book);
+  state.chapters.pop();
+  const restored = createTaskBook(state);
+
+  t.false(restored.chapters[2].completed);
+  t.is(restored.chapters[2].tasksLeft, 1);
+  t.false(restored.pageContent.getChapterInstance(2).getInstances()[1].answered);
+});
+
+test('states saved before sub-chapters were rolled up are restored', t => {
+  const book = createTaskBook();
+  answerTask(book);
+
+  const state = saveState(book);
+  delete state.chapters[2].ownCompleted;
+  delete state.chapters[2].scores;
+  const restored = createTaskBook(state);
+
+  t.true(restored.chapters[2].ownCompleted);
+  t.true(restored.chapters[2].completed);
+});
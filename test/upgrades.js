@@ -0,0 +1,48 @@
+import test from 'ava';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+/**
+ * Run the content upgrade of a version the way the H5P editor does.
+ *
+ * @param {number} major Major version.
+ * @param {number} minor Minor version.
+ * @param {object} parameters Content parameters.
+ * @return {object} Upgraded parameters.
+ */
+const upgrade = (major, minor, parameters) => {
+  const context = {};
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'upgrades.js'), 'utf8'), context);
+
+  let upgraded;
+  context.H5PUpgrades['H5P.InteractiveBook'][major][minor](parameters, (error, result) => {
+    if (error) {
+      throw error;
+    }
+    upgraded = result;
+  });
+
+  return upgraded;
+};
+
+test('1.1 puts all chapters on the top level', t => {
+  const chapters = [
+    {library: 'H5P.Column 1.13', subContentId: 'a', params: {content: []}},
+    {library: 'H5P.Column 1.13', subContentId: 'b', params: {content: []}}
+  ];
+
+  const parameters = upgrade(1, 1, {chapters: chapters.slice(), behaviour: {progressAuto: true}});
+
+  t.deepEqual(parameters, {
+    chapters: [
+      {chapter: chapters[0], level: '1'},
+      {chapter: chapters[1], level: '1'}
+    ],
+    behaviour: {progressAuto: true}
+  });
+});
+
+test('1.1 keeps books without chapters', t => {
+  t.deepEqual(upgrade(1, 1, {bookCover: {}}), {bookCover: {}});
+});
@@ -0,0 +1,30 @@
+var H5PUpgrades = H5PUpgrades || {};
+
+H5PUpgrades['H5P.InteractiveBook'] = (function () {
+  return {
+    1: {
+      /**
+       * Asynchronous content upgrade hook.
+       * Upgrades content parameters to support Interactive Book 1.1.
+       *
+       * Chapters are stored in a group together with their level in the
+       * book's structure. All existing chapters are on the top level.
+       *
+       * @param {object} parameters Content parameters.
+       * @param {function} finished Callback when finished.
+       */
+      1: function (parameters, finished) {
+        if (parameters && Array.isArray(parameters.chapters)) {
+          parameters.chapters = parameters.chapters.map(function (chapter) {
+            return {
+              chapter: chapter,
+              level: '1'
+            };
+          });
+        }
+
+        finished(null, parameters);
+      }
+    }
+  };
+})();